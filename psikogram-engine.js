@@ -1,11 +1,28 @@
 /**
  * psikogram-engine.js
  * Berisi semua logika kalkulasi psikogram:
- * - Parser data dari API (x_02, x_05, x_06, x_10)
- * - Skoring CFIT → IQ
- * - Skoring EPPS → ws_ach, ws_dom, dll + konsistensi
- * - Skoring RMIB → out, mech, comp, dll
- * - Konversi skor ke skala 1-10
+ * - Adapter input data dari API (pipe, json-nilai1, json-keymap) → x_02, x_05, x_06
+ * - Parser override manual x_10 + provenans (nilai engine vs nilai akhir)
+ * - Validasi data mentah (error/warning per field & subtes)
+ * - Skoring CFIT → IQ (usia tahun + bulan, kolom norma usia tercatat di output)
+ * - Skoring IST → SW per subtes, IQ & bentuk profil (norma usia didaftarkan)
+ * - Skoring APM → persentil, grade & IQ (sumber alternatif Kemampuan Umum)
+ * - Skoring EPPS → ws_ach, ws_dom, dll + konsistensi + profil 15 kebutuhan
+ * - Norma EPPS gabungan; norma per jenis kelamin / populasi bila didaftarkan (registerNormaEPPS)
+ * - Validitas EPPS dari skor konsistensi (valid / diragukan / tidak_valid)
+ * - Skoring RMIB → out, mech, comp, dll + ranking lengkap 12 kategori (pita tinggi/sedang/rendah)
+ * - Form RMIB pria / wanita (didaftarkan) dipilih dari rmib_form atau jenis kelamin; rmib_form tak terdaftar = error
+ * - Kode Holland (RIASEC) dari total kategori RMIB + ringkasan minat per angkatan untuk dasbor
+ * - Rekomendasi program studi dari katalog bertanda minat RMIB & skor minimum aspek
+ * - Rekomendasi penjurusan SMA (IPA/IPS/Bahasa) dengan tingkat keyakinan & ringkasan kelas
+ * - Teks kelebihan/kelemahan menurut pita skor (kelemahan dilunakkan bila skor sudah baik)
+ * - Lokalisasi konten & label laporan (Indonesia, Inggris, atau dwibahasa)
+ * - Narasi kemampuan kognitif, kepribadian & sikap kerja (x_12) yang reproducible per peserta
+ * - Konversi skor ke skala 1-10 (norma bawaan atau set norma bernama & berversi dari JSON)
+ * - Cap versi engine, norma & pustaka konten di setiap hasil (x_17) agar hasil bisa dilacak
+ * - Jejak skor per aspek (opsional): masukan mentah, tabel WS, batas norma & override (x_18)
+ * - Definisi aspek sebagai data (set standar + set per klien lewat registerSetAspek)
+ * - Indeks kecocokan dengan profil jabatan (rekrutmen)
  * - Data statis: kekuatan_kelemahan, minat
  *
  * Cara pakai:
@@ -13,82 +30,776 @@
  *   Online  : <script src="https://domain.com/js/psikogram-engine.js"></script>
  *
  * Setelah di-load, semua fungsi tersedia sebagai window.PsikogramEngine
+ *
+ * Node.js (batch / skrip regresi):
+ *   CommonJS : const PsikogramEngine = require('./psikogram-engine.js');
+ *   ESM      : import { hitungPsikogram } from './psikogram-engine.mjs';
+ *   Uji      : node psikogram-engine.uji.js
+ *
+ * Format data sumber dideteksi otomatis, atau dipilih eksplisit:
+ *   PsikogramEngine.hitungPsikogram(rawData, id_x, { adapter: 'json-nilai1' })
+ * Format baru cukup didaftarkan lewat PsikogramEngine.registerAdapter(nama, adapter).
  */
 
-(function(global) {
+(function(root, factory) {
+    const engine = factory();
+    if (typeof module === 'object' && module.exports) {
+        // Node.js: require('./psikogram-engine.js') / import lewat psikogram-engine.mjs
+        module.exports = engine;
+        return;
+    }
+    root.PsikogramEngine = engine;
+    // Alias global langsung — agar pemanggilan hitungPsikogram(data, id_x)
+    // dari index.html tetap berfungsi tanpa perlu PsikogramEngine.hitungPsikogram()
+    root.hitungPsikogram = engine.hitungPsikogram;
+    root.makeSeededRand  = engine.makeSeededRand;
+    root.seedFromId      = engine.seedFromId;
+    root.pilihVersi      = engine.pilihVersi;
+})(typeof window !== 'undefined' ? window : this, function() {
     'use strict';
 
     // =========================================================
-    // PARSER DATA
+    // VERSI
+    // Dicap ke setiap hasil hitungPsikogram (lihat CAP VERSI) agar dua
+    // hasil peserta yang sama bisa dilacak ke engine, norma & konten pembuatnya.
+    //   VERSI_ENGINE       : naikkan bila logika skoring / pemetaan berubah
+    //   VERSI_NORMA_BAWAAN : tabel norma bawaan (CFIT, EPPS gabungan, skala 1–10)
+    //   VERSI_KONTEN       : pustaka teks bawaan (aspek, pita, minat, narasi, program studi)
     // =========================================================
+    const VERSI_ENGINE       = '2.0.0';
+    const VERSI_NORMA_BAWAAN = '1.0';
+    const VERSI_KONTEN       = '1.0.0';
 
-    function parseX02(x02) {
-        // "nama;...;...;usia;...;jk|bagian2|..."
-        const parts = (x02 || '').split('|');
+    // Sidik konten per set aspek + bahasa — dikosongkan setiap ada konten
+    // yang didaftarkan (set aspek, paket bahasa, program studi)
+    const cacheSidikKonten = {};
+
+    function lupakanSidikKonten() {
+        Object.keys(cacheSidikKonten).forEach(k => { delete cacheSidikKonten[k]; });
+    }
+
+    // =========================================================
+    // ADAPTER INPUT
+    // Setiap adapter mengubah baris mentah dari API menjadi array
+    // berindeks format pipe lama, agar skoring cukup ditulis sekali:
+    //   parseX02 → [[nama,..,..,..,usia,..,..,..,jk,tgl_lahir,tgl_tes], ...]
+    //              (tgl_lahir & tgl_tes opsional — untuk menghitung usia tes)
+    //   parseX05 → [0]=cfit1 [1]=cfit2 [2]=cfit3 [3]=cfit4
+    //              [4..12]=ist1..ist9 [13]=apm1 [14]=apm14
+    //              [15]=tkd3 [17]=tkd6
+    //   parseX06 → [0]=epps, [2..9]=rmib bagian 1..8, [10]=rmib_form (versi lembar RMIB)
+    // x_10 (override manual operator) selalu format pipe.
+    // =========================================================
+
+    /**
+     * Key JSON untuk adapter "json-keymap".
+     * Sesuaikan dengan cfg._taskId yang digunakan di file tes.
+     */
+    const KEY_MAP = {
+        // x_05 → key JSON untuk masing-masing subtes
+        CFIT1  : 'cfit1',    // skor CFIT skala 1
+        CFIT2  : 'cfit2',    // skor CFIT skala 2
+        CFIT3  : 'cfit3',    // skor CFIT skala 3
+        CFIT4  : 'cfit4',    // skor CFIT skala 4
+        TKD3   : 'tkd3',     // skor TKD verbal
+        TKD6   : 'tkd6',     // skor TKD numerik
+        IST    : ['ist1','ist2','ist3','ist4_a','ist5_a','ist6_a','ist7','ist8','ist9'], // skor IST SE..ME
+        APM1   : 'apm1',     // skor APM Set I
+        APM2   : 'apm14',    // skor APM Set II
+
+        // x_06 → key JSON untuk EPPS dan RMIB
+        EPPS   : 'epps',     // jawaban EPPS (A;B;A;...)
+        RMIB1  : 'rmib1',    // RMIB bagian 1
+        RMIB2  : 'rmib2',    // RMIB bagian 2
+        RMIB3  : 'rmib3',    // RMIB bagian 3
+        RMIB4  : 'rmib4',    // RMIB bagian 4
+        RMIB5  : 'rmib5',    // RMIB bagian 5
+        RMIB6  : 'rmib6',    // RMIB bagian 6
+        RMIB7  : 'rmib7',    // RMIB bagian 7
+        RMIB8  : 'rmib8',    // RMIB bagian 8
+        RMIB_FORM : 'rmib_form' // versi lembar RMIB ('pria' / 'wanita' / kode form terdaftar)
+    };
+
+    function isJSONString(str) {
+        return String(str || '').trim().startsWith('{');
+    }
+
+    function parseJSONObj(str) {
+        const raw = String(str || '').trim();
+        return raw ? JSON.parse(raw) : {};
+    }
+
+    function parsePipeRows(str) {
+        // Setiap bagian dipisah | lalu masing-masing dipisah ;
+        const parts = (str || '').split('|');
         return parts.map(p => p.split(';').map(s => s.trim()));
     }
 
-    function parseX05(x05) {
+    function parsePipe(str) {
+        return (str || '').split('|').map(v => v.trim());
+    }
+
+    const adapterPipe = {
+        label: 'Format pipe (tabel nilai1)',
+        detect(data) {
+            return !isJSONString(data['x_05']) && !isJSONString(data['x_06']);
+        },
+        // "nama;...;...;usia;...;jk|bagian2|..."
+        parseX02: parsePipeRows,
         // "CFIT1|CFIT2|CFIT3|CFIT4|...|tkd3|...|tkd6|..."
-        return (x05 || '').split('|').map(v => v.trim());
+        parseX05: parsePipe,
+        // index [0] = soal_epps (dipisah ;), index [2..9] = soal_rmib
+        parseX06: parsePipe
+    };
+
+    const adapterJsonNilai1 = {
+        label: 'Format JSON (tabel nilai1_json)',
+        detect(data) {
+            return isJSONString(data['x_02']);
+        },
+        parseX02(x02) {
+            // {"nama":"...","usia":"...","jenis_kelamin":"...","pendidikan":"...","tgl_tes":"..."}
+            // nama[0][0]=nama, nama[0][4]=usia, nama[0][8]=jenis_kelamin,
+            // nama[0][9]=tgl_lahir, nama[0][10]=tgl_tes
+            const obj = parseJSONObj(x02);
+            const row = new Array(11).fill('');
+            row[0]  = obj.nama          || '';
+            row[4]  = obj.usia          || '';
+            row[8]  = obj.jenis_kelamin || '';
+            row[9]  = obj.tgl_lahir || obj.tanggal_lahir || '';
+            row[10] = obj.tgl_tes       || '';
+            return [row];
+        },
+        parseX05(x05) {
+            // {"cfit1":12,"cfit2":8,"cfit3":15,"cfit4":9,"tkd3":30,"tkd6":18,...}
+            // Mendukung key lama (tkd5, deret6) maupun key baru (tkd3, tkd6)
+            const obj = parseJSONObj(x05);
+            const str = v => v !== undefined && v !== null ? String(v) : '';
+            const arr = new Array(20).fill('');
+            ['cfit1','cfit2','cfit3','cfit4',
+             'ist1','ist2','ist3','ist4_a','ist5_a','ist6_a','ist7','ist8','ist9',
+             'apm1','apm14'].forEach((key, i) => { arr[i] = str(obj[key]); });
+            arr[15] = str(obj.tkd3 ?? obj.tkd5);   // tkd3 (baru) atau tkd5 (lama)
+            arr[17] = str(obj.tkd6 ?? obj.deret6); // tkd6 (baru) atau deret6 (lama)
+            return arr;
+        },
+        parseX06(x06) {
+            // {"epps":"A;B;A;...","rmib_k1":"1;3;2;...","rmib_k2":"...",...,"rmib_form":"wanita"}
+            const obj = parseJSONObj(x06);
+            const arr = new Array(12).fill('');
+            arr[0] = obj.epps || '';
+            for (let k = 1; k <= 8; k++) {
+                arr[k + 1] = obj['rmib_k' + k] || '';
+            }
+            arr[10] = obj.rmib_form || '';
+            return arr;
+        }
+    };
+
+    const adapterJsonKeymap = {
+        label: 'Format JSON per subtes (KEY_MAP)',
+        detect(data) {
+            return !isJSONString(data['x_02'])
+                && (isJSONString(data['x_05']) || isJSONString(data['x_06']));
+        },
+        // Kolom identitas tetap pipe
+        parseX02: parsePipeRows,
+        parseX05(x05) {
+            // {"cfit1":"12","cfit2":"8","tkd3":"25","tkd6":"10",...}
+            if (!isJSONString(x05)) return parsePipe(x05);
+            const obj = parseJSONObj(x05);
+            const arr = new Array(20).fill('');
+            // Key yang tidak ada dibiarkan kosong agar validasi bisa membedakan
+            // "subtes tidak diisi" dari "skor 0" (skoring tetap menganggapnya 0)
+            const str = v => v !== undefined && v !== null ? String(v) : '';
+            arr[0]  = str(obj[KEY_MAP.CFIT1]);
+            arr[1]  = str(obj[KEY_MAP.CFIT2]);
+            arr[2]  = str(obj[KEY_MAP.CFIT3]);
+            arr[3]  = str(obj[KEY_MAP.CFIT4]);
+            KEY_MAP.IST.forEach((key, i) => { arr[4 + i] = str(obj[key]); });
+            arr[13] = str(obj[KEY_MAP.APM1]);
+            arr[14] = str(obj[KEY_MAP.APM2]);
+            arr[15] = str(obj[KEY_MAP.TKD3]);
+            arr[17] = str(obj[KEY_MAP.TKD6]);
+            return arr;
+        },
+        parseX06(x06) {
+            // {"epps":"A;B;A;...","rmib1":"1;2;3;...","rmib2":...}
+            if (!isJSONString(x06)) return parsePipe(x06);
+            const obj = parseJSONObj(x06);
+            const arr = new Array(11).fill('');
+            arr[0] = obj[KEY_MAP.EPPS] || '';
+            for (let k = 1; k <= 8; k++) {
+                arr[k + 1] = obj[KEY_MAP['RMIB' + k]] || '';
+            }
+            arr[10] = obj[KEY_MAP.RMIB_FORM] || '';
+            return arr;
+        }
+    };
+
+    // Urutan = urutan deteksi otomatis; adapter yang lebih spesifik didahulukan
+    const inputAdapters = {
+        'json-nilai1': adapterJsonNilai1,
+        'json-keymap': adapterJsonKeymap,
+        'pipe':        adapterPipe
+    };
+
+    /**
+     * Daftarkan adapter input baru (atau ganti yang lama dengan nama sama).
+     * adapter: { label, detect(data) → bool, parseX02, parseX05, parseX06 }
+     */
+    function registerAdapter(nama, adapter) {
+        if (!nama || !adapter) throw new Error('[PsikogramEngine] registerAdapter: nama dan adapter wajib diisi');
+        ['parseX02','parseX05','parseX06'].forEach(fn => {
+            if (typeof adapter[fn] !== 'function') {
+                throw new Error(`[PsikogramEngine] registerAdapter: adapter "${nama}" tidak punya ${fn}()`);
+            }
+        });
+        inputAdapters[nama] = adapter;
     }
 
-    function parseX06(x06) {
-        // index [0] = soal_epps (dipisah ;)
-        // index [2..9] = soal_rmib
-        return (x06 || '').split('|').map(v => v.trim());
+    /**
+     * Tentukan nama adapter untuk satu baris data mentah.
+     * Adapter yang tidak punya detect() hanya bisa dipilih secara eksplisit.
+     */
+    function deteksiAdapter(data) {
+        for (const [nama, adapter] of Object.entries(inputAdapters)) {
+            if (typeof adapter.detect === 'function' && adapter.detect(data || {})) return nama;
+        }
+        return 'pipe';
+    }
+
+    function getAdapter(nama) {
+        const adapter = inputAdapters[nama];
+        if (!adapter) {
+            throw new Error(`[PsikogramEngine] Adapter input "${nama}" tidak dikenal. Tersedia: ${Object.keys(inputAdapters).join(', ')}`);
+        }
+        return adapter;
     }
 
     function parseX10(x10) {
-        // Setiap bagian dipisah | lalu masing-masing dipisah ;
-        const parts = (x10 || '').split('|');
-        return parts.map(p => p.split(';').map(s => s.trim()));
+        // Kolom ini tetap pipe — diisi manual oleh operator
+        return parsePipeRows(x10);
     }
 
     // =========================================================
     // SKORING CFIT → IQ
     // =========================================================
 
-    function getIQ_cfit(skorTotal, usia) {
-        const iqTable = {
-            49:[183,183,183,183,183], 48:[183,183,183,179,179], 47:[183,183,179,176,176],
-            46:[183,179,176,173,173], 45:[179,176,173,169,169], 44:[176,173,169,167,167],
-            43:[175,171,168,165,165], 42:[171,168,165,161,161], 41:[167,163,160,157,157],
-            40:[165,161,159,155,155], 39:[161,159,155,152,152], 38:[159,155,152,149,149],
-            37:[155,152,149,145,145], 36:[152,149,145,142,142], 35:[150,147,144,140,140],
-            34:[147,144,140,137,137], 33:[142,139,136,133,133], 32:[140,137,134,131,131],
-            31:[137,134,131,128,128], 30:[134,131,128,126,124], 29:[131,128,124,123,121],
-            28:[129,126,123,121,119], 27:[126,123,119,117,116], 26:[123,119,116,114,113],
-            25:[119,116,113,111,109], 24:[116,113,109,108,106], 23:[113,109,106,104,103],
-            22:[109,106,103,101,100], 21:[106,103,100,98,96],   20:[104,101,98,96,94],
-            19:[101,98,94,93,91],     18:[98,94,91,89,88],      17:[94,91,88,86,85],
-            16:[91,88,85,83,81],      15:[88,85,81,80,78],      14:[85,81,78,76,75],
-            13:[81,78,75,73,72],      12:[80,76,73,72,70],      11:[76,73,70,68,67],
-            10:[73,70,67,65,63],      9:[70,67,63,62,60],       8:[67,63,60,58,57],
-            7:[63,60,57,56,55],       6:[60,57,55,53,52],       5:[57,55,53,51,48],
-            4:[55,54,52,50,47],       3:[53,52,48,47,45],       2:[52,51,47,46,43],
-            1:[50,50,46,45,40],       0:[48,48,45,43,38]
+    // Tabel IQ CFIT skala 3: skor total → IQ per kolom usia (lihat KOLOM_USIA_CFIT)
+    const IQ_TABLE_CFIT = {
+        49:[183,183,183,183,183], 48:[183,183,183,179,179], 47:[183,183,179,176,176],
+        46:[183,179,176,173,173], 45:[179,176,173,169,169], 44:[176,173,169,167,167],
+        43:[175,171,168,165,165], 42:[171,168,165,161,161], 41:[167,163,160,157,157],
+        40:[165,161,159,155,155], 39:[161,159,155,152,152], 38:[159,155,152,149,149],
+        37:[155,152,149,145,145], 36:[152,149,145,142,142], 35:[150,147,144,140,140],
+        34:[147,144,140,137,137], 33:[142,139,136,133,133], 32:[140,137,134,131,131],
+        31:[137,134,131,128,128], 30:[134,131,128,126,124], 29:[131,128,124,123,121],
+        28:[129,126,123,121,119], 27:[126,123,119,117,116], 26:[123,119,116,114,113],
+        25:[119,116,113,111,109], 24:[116,113,109,108,106], 23:[113,109,106,104,103],
+        22:[109,106,103,101,100], 21:[106,103,100,98,96],   20:[104,101,98,96,94],
+        19:[101,98,94,93,91],     18:[98,94,91,89,88],      17:[94,91,88,86,85],
+        16:[91,88,85,83,81],      15:[88,85,81,80,78],      14:[85,81,78,76,75],
+        13:[81,78,75,73,72],      12:[80,76,73,72,70],      11:[76,73,70,68,67],
+        10:[73,70,67,65,63],      9:[70,67,63,62,60],       8:[67,63,60,58,57],
+        7:[63,60,57,56,55],       6:[60,57,55,53,52],       5:[57,55,53,51,48],
+        4:[55,54,52,50,47],       3:[53,52,48,47,45],       2:[52,51,47,46,43],
+        1:[50,50,46,45,40],       0:[48,48,45,43,38]
+    };
+
+    // Kolom usia tabel CFIT, batas dalam bulan (inklusif). Kolom yang paling
+    // sempit yang mencakup usia peserta yang dipakai, sehingga kolom norma
+    // dewasa yang didaftarkan lewat registerKolomCFIT() menggantikan '16+'.
+    // Engine hanya membawa 5 kolom skala 3 di atas; norma dewasa dari manual
+    // belum disertakan dan harus didaftarkan pemakai — tanpa itu '16+' dipakai
+    // untuk semua usia dewasa seperti sebelumnya.
+    const KOLOM_USIA_CFIT = [
+        { kode: '13.0-13.4',  label: '13 th 0 bl – 13 th 4 bl',  minBulan: 156, maxBulan: 160,      kolom: 0 },
+        { kode: '13.5-13.11', label: '13 th 5 bl – 13 th 11 bl', minBulan: 161, maxBulan: 167,      kolom: 1 },
+        { kode: '14.0-14.11', label: '14 th 0 bl – 14 th 11 bl', minBulan: 168, maxBulan: 179,      kolom: 2 },
+        { kode: '15.0-15.11', label: '15 th 0 bl – 15 th 11 bl', minBulan: 180, maxBulan: 191,      kolom: 3 },
+        { kode: '16+',        label: '16 tahun ke atas',         minBulan: 192, maxBulan: Infinity, kolom: 4 }
+    ];
+
+    // Usia yang dipakai bila usia peserta tidak diketahui (perilaku lama)
+    const USIA_DEFAULT_CFIT = { tahun: 16, bulan: 0, totalBulan: 192, sumber: 'default', teks: '16 th 0 bl' };
+
+    /**
+     * Tambah kolom norma CFIT (mis. norma dewasa dari manual).
+     * kolom: { kode, label, versi, minBulan, maxBulan, iq: { skorTotal: IQ, ... } }
+     */
+    function registerKolomCFIT(kolom) {
+        if (!kolom || !kolom.kode || !kolom.iq || Object.keys(kolom.iq).length === 0) {
+            throw new Error('[PsikogramEngine] registerKolomCFIT: kode dan tabel iq wajib diisi');
+        }
+        const maxBulan = kolom.maxBulan === undefined ? Infinity : kolom.maxBulan;
+        if (!(kolom.minBulan <= maxBulan)) {
+            throw new Error(`[PsikogramEngine] registerKolomCFIT: rentang usia kolom "${kolom.kode}" tidak valid`);
+        }
+        const idx = KOLOM_USIA_CFIT.findIndex(k => k.kode === kolom.kode);
+        const entri = {
+            kode: kolom.kode,
+            label: kolom.label || kolom.kode,
+            versi: kolom.versi ? String(kolom.versi) : null,
+            minBulan: kolom.minBulan,
+            maxBulan,
+            iq: kolom.iq
         };
-        const u = parseFloat(usia) || 16;
-        let ageIndex;
-        if      (u >= 13.0 && u <= 13.4)  ageIndex = 0;
-        else if (u >= 13.5 && u <= 13.11) ageIndex = 1;
-        else if (u >= 14.0 && u <= 14.11) ageIndex = 2;
-        else if (u >= 15.0 && u <= 15.11) ageIndex = 3;
-        else if (u >= 16.0)               ageIndex = 4;
-        else                               ageIndex = 4;
+        if (idx === -1) KOLOM_USIA_CFIT.push(entri);
+        else KOLOM_USIA_CFIT[idx] = entri;
+    }
 
-        const row = iqTable[Math.floor(skorTotal)];
-        return row ? row[ageIndex] : 0;
+    // Urutan kelompok usia dari yang paling sempit (paling spesifik)
+    function lebihSpesifik(a, b) {
+        return (a.maxBulan - b.maxBulan) || (b.minBulan - a.minBulan);
+    }
+
+    function pilihKolomCFIT(totalBulan) {
+        const cocok = KOLOM_USIA_CFIT
+            .filter(k => totalBulan >= k.minBulan && totalBulan <= k.maxBulan)
+            .sort(lebihSpesifik);
+        if (cocok.length > 0) return { kolom: cocok[0], diLuarNorma: false };
+        // Di bawah 13 tahun: skala 3 tidak punya norma — tetap kolom '16+'
+        // (perilaku lama) & tandai agar divalidasi
+        return { kolom: KOLOM_USIA_CFIT.find(k => k.kode === '16+'), diLuarNorma: true };
+    }
+
+    /**
+     * Konversi skor total CFIT → IQ sesuai kolom usia.
+     * umur: hasil hitungUsia() — null = usia tidak diketahui (pakai 16 tahun)
+     */
+    function getIQ_cfit(skorTotal, umur) {
+        const usia = umur || USIA_DEFAULT_CFIT;
+        const { kolom, diLuarNorma } = pilihKolomCFIT(usia.totalBulan);
+        const skor = Math.floor(skorTotal);
+        let IQ;
+        if (kolom.iq) {
+            IQ = kolom.iq[skor] !== undefined ? Number(kolom.iq[skor]) : 0;
+        } else {
+            const row = IQ_TABLE_CFIT[skor];
+            IQ = row ? row[kolom.kolom] : 0;
+        }
+        return {
+            IQ,
+            usia,
+            kolomUsia: { kode: kolom.kode, label: kolom.label },
+            diLuarNorma,
+            usiaDefault: !umur
+        };
+    }
+
+    // =========================================================
+    // USIA PESERTA (tahun + bulan)
+    // "13.11" = 13 tahun 11 bulan, bukan 13,11 tahun. Jika tanggal lahir
+    // dan tanggal tes tersedia, usia dihitung dari keduanya.
+    // =========================================================
+
+    const NAMA_BULAN = {
+        januari: 1, jan: 1, februari: 2, pebruari: 2, feb: 2, maret: 3, mar: 3,
+        april: 4, apr: 4, mei: 5, juni: 6, jun: 6, juli: 7, jul: 7,
+        agustus: 8, agu: 8, agt: 8, ags: 8, september: 9, sep: 9,
+        oktober: 10, okt: 10, november: 11, nov: 11, nopember: 11, desember: 12, des: 12
+    };
+
+    // "2025-07-14", "14-07-2025", "14/07/2025", "14 Juli 2025" → { tahun, bulan, hari } atau null
+    function parseTanggal(str) {
+        const v = String(str || '').trim().toLowerCase();
+        let m, tahun, bulan, hari;
+        if ((m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+            [tahun, bulan, hari] = [m[1], m[2], m[3]];
+        } else if ((m = v.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/))) {
+            [hari, bulan, tahun] = [m[1], m[2], m[3]];
+        } else if ((m = v.match(/^(\d{1,2})\s+([a-z]+)\s+(\d{4})/)) && NAMA_BULAN[m[2]]) {
+            [hari, bulan, tahun] = [m[1], NAMA_BULAN[m[2]], m[3]];
+        } else {
+            return null;
+        }
+        const t = { tahun: Number(tahun), bulan: Number(bulan), hari: Number(hari) };
+        if (t.bulan < 1 || t.bulan > 12 || t.hari < 1 || t.hari > 31) return null;
+        return t;
+    }
+
+    // "13.11" / "13,11" / "13 tahun 11 bulan" / "13 th 11 bl" / "13" → { tahun, bulan } atau null
+    function parseUsia(usia) {
+        const v = String(usia === undefined || usia === null ? '' : usia).trim().toLowerCase();
+        const m = v.match(/^(\d{1,3})(?:[.,](\d{1,2}))?$/)
+               || v.match(/^(\d{1,3})\s*(?:tahun|thn|th)(?:\s*(\d{1,2})\s*(?:bulan|bln|bl))?$/);
+        if (!m) return null;
+        const tahun = Number(m[1]);
+        const bulan = m[2] ? Number(m[2]) : 0;
+        if (bulan > 11) return null;
+        return { tahun, bulan };
+    }
+
+    /**
+     * Usia peserta saat tes. Sumber: 'tanggal_lahir' (tanggal lahir + tanggal tes)
+     * atau 'usia' (kolom usia). null jika keduanya tidak bisa dibaca.
+     */
+    function hitungUsia(usia, tglLahir, tglTes) {
+        const lahir = parseTanggal(tglLahir);
+        const tes   = parseTanggal(tglTes);
+        let hasil = null, sumber = null;
+        if (lahir && tes) {
+            const totalBulan = (tes.tahun - lahir.tahun) * 12 + (tes.bulan - lahir.bulan) - (tes.hari < lahir.hari ? 1 : 0);
+            if (totalBulan >= 0) {
+                hasil  = { tahun: Math.floor(totalBulan / 12), bulan: totalBulan % 12 };
+                sumber = 'tanggal_lahir';
+            }
+        }
+        if (!hasil) {
+            hasil  = parseUsia(usia);
+            sumber = 'usia';
+        }
+        if (!hasil) return null;
+        return {
+            tahun: hasil.tahun,
+            bulan: hasil.bulan,
+            totalBulan: hasil.tahun * 12 + hasil.bulan,
+            sumber,
+            teks: `${hasil.tahun} th ${hasil.bulan} bl`
+        };
+    }
+
+    // =========================================================
+    // SKORING IST (Intelligenz-Struktur-Test)
+    // RW (skor mentah) per subtes → SW (standard, rerata 100, SD 10) lewat
+    // norma usia; jumlah RW → SW total → IQ = 100 + 1,5 × (SW − 100).
+    // Tabel norma dari manual didaftarkan lewat registerNormaIST();
+    // tanpa norma yang cocok hanya RW yang dilaporkan.
+    // =========================================================
+
+    // [kode, singkatan, nama, kelompok profil, skor maksimum]; urutan = ist1..ist9 di x_05
+    const IST_SUBTES = [
+        ['se', 'SE', 'Melengkapi Kalimat',     'verbal',  20],
+        ['wa', 'WA', 'Melengkapi Kata',        'verbal',  20],
+        ['an', 'AN', 'Analogi',                'verbal',  20],
+        ['ge', 'GE', 'Kesamaan',               'verbal',  32],
+        ['ra', 'RA', 'Berhitung',              'numerik', 20],
+        ['zr', 'ZR', 'Deret Angka',            'numerik', 20],
+        ['fa', 'FA', 'Memilih Bentuk',         'figural', 20],
+        ['wu', 'WU', 'Latihan Balok',          'figural', 20],
+        ['me', 'ME', 'Latihan Simbol (Ingatan)', 'ingatan', 20]
+    ];
+
+    // Index ist1 di hasil parseX05
+    const IST_INDEX_AWAL = 4;
+
+    const IST_KELOMPOK = { verbal: 'Verbal', numerik: 'Numerik', figural: 'Figural' };
+
+    // Selisih rerata SW antarkelompok di bawah ini (½ SD) dianggap profil seimbang
+    const IST_SELISIH_SEIMBANG = 5;
+
+    // Tabel norma IST (RW → SW per kelompok usia) berlisensi dan tidak disertakan
+    // di engine; daftarkan dari manual lewat registerNormaIST(). Batch yang
+    // meminta IST tanpa norma ditolak validasi (IST_NORMA_BELUM_ADA).
+    const normaIST = {};
+
+    /**
+     * Daftarkan (atau ganti) norma IST untuk satu kelompok usia.
+     * norma: { label, versi, minBulan, maxBulan, sw: { se: {rw: sw}, ..., me: {...}, total: {jumlahRW: sw} } }
+     */
+    function registerNormaIST(kode, norma) {
+        if (!kode || !norma || !norma.sw) throw new Error('[PsikogramEngine] registerNormaIST: kode dan norma.sw wajib diisi');
+        const kurang = IST_SUBTES.map(([k]) => k).concat('total').filter(k => !norma.sw[k]);
+        if (kurang.length > 0) {
+            throw new Error(`[PsikogramEngine] registerNormaIST: norma "${kode}" tidak punya tabel ${kurang.join(', ')}`);
+        }
+        normaIST[kode] = {
+            label:    norma.label || kode,
+            versi:    norma.versi ? String(norma.versi) : null,
+            minBulan: norma.minBulan || 0,
+            maxBulan: norma.maxBulan === undefined ? Infinity : norma.maxBulan,
+            sw:       norma.sw
+        };
+    }
+
+    /**
+     * Kode norma berkelompok usia (IST, APM) untuk usia peserta: kode eksplisit,
+     * atau kelompok usia paling sempit yang mencakupnya. null = belum ada norma.
+     */
+    function pilihNormaUsia(daftarNorma, umur, kodeEksplisit) {
+        if (kodeEksplisit) return daftarNorma[kodeEksplisit] ? kodeEksplisit : null;
+        if (!umur) return null;
+        const cocok = Object.entries(daftarNorma)
+            .filter(([, n]) => umur.totalBulan >= n.minBulan && umur.totalBulan <= n.maxBulan)
+            .sort(([, a], [, b]) => lebihSpesifik(a, b));
+        return cocok.length > 0 ? cocok[0][0] : null;
+    }
+
+    // Tabel {rw: sw} → SW; rw di luar tabel dibulatkan ke batas terdekat
+    function getSW(rw, tabel) {
+        if (tabel[rw] !== undefined) return Number(tabel[rw]);
+        const keys = Object.keys(tabel).map(Number).sort((a, b) => a - b);
+        if (keys.length === 0) return null;
+        return Number(tabel[rw < keys[0] ? keys[0] : keys[keys.length - 1]]);
+    }
+
+    // SW (rerata 100, SD 10) → skala IQ (rerata 100, SD 15)
+    function swKeIQ(sw) {
+        return Math.round(100 + 1.5 * (sw - 100));
+    }
+
+    /**
+     * Bentuk profil IST dari rerata SW kelompok verbal / numerik / figural.
+     * dominan = kelompok tertinggi, atau 'seimbang' jika selisih < ½ SD.
+     */
+    function bentukProfilIST(subtes) {
+        const rerata = {};
+        Object.keys(IST_KELOMPOK).forEach(kel => {
+            const sw = subtes.filter(t => t.kelompok === kel && t.sw !== null).map(t => t.sw);
+            rerata[kel] = sw.length ? Math.round(sw.reduce((a, b) => a + b, 0) / sw.length * 10) / 10 : null;
+        });
+        const urut = Object.keys(rerata).filter(k => rerata[k] !== null).sort((a, b) => rerata[b] - rerata[a]);
+        if (urut.length < 2) return { rerata, dominan: null, bentuk: null };
+        const seimbang = rerata[urut[0]] - rerata[urut[urut.length - 1]] < IST_SELISIH_SEIMBANG;
+        return {
+            rerata,
+            dominan: seimbang ? 'seimbang' : urut[0],
+            bentuk:  seimbang ? 'Seimbang' : urut.map(k => IST_KELOMPOK[k]).join(' > ')
+        };
+    }
+
+    /**
+     * Skor IST dari hasil parseX05. null jika tidak ada satu pun subtes IST terisi.
+     * umur: hasil hitungUsia() — null = usia tidak diketahui (norma usia tidak bisa dipilih)
+     */
+    function skorIST(nilai05, umur, kodeNorma) {
+        const mentah = IST_SUBTES.map((_, i) => nilai05[IST_INDEX_AWAL + i]);
+        if (mentah.every(isKosong)) return null;
+
+        const kode  = pilihNormaUsia(normaIST, umur, kodeNorma);
+        const norma = kode ? normaIST[kode] : null;
+
+        const subtes = IST_SUBTES.map(([k, singkatan, nama, kelompok], i) => {
+            const rw = parseInt(mentah[i]) || 0;
+            return { kode: k, singkatan, nama, kelompok, rw, sw: norma ? getSW(rw, norma.sw[k]) : null };
+        });
+        const rwTotal = subtes.reduce((a, t) => a + t.rw, 0);
+        const swTotal = norma ? getSW(rwTotal, norma.sw.total) : null;
+
+        return {
+            subtes,
+            rwTotal,
+            swTotal,
+            IQ: swTotal !== null ? swKeIQ(swTotal) : null,
+            profil: norma ? bentukProfilIST(subtes) : null,
+            norma: norma ? { kode, label: norma.label } : null
+        };
+    }
+
+    // =========================================================
+    // SKORING APM (Raven Advanced Progressive Matrices)
+    // x_05: apm1 = Set I (12 soal latihan), apm14 = Set II (36 soal).
+    // Norma memakai skor Set II: skor → persentil per kelompok usia
+    // (registerNormaAPM), persentil → IQ deviasi (rerata 100, SD 15).
+    // =========================================================
+
+    const APM_SET = [
+        // [kode, label, index di parseX05, jumlah soal]
+        ['set1', 'Set I',  13, 12],
+        ['set2', 'Set II', 14, 36]
+    ];
+
+    // Grade Raven dari persentil
+    const APM_GRADE = [
+        [95, 'I',   'Superior'],
+        [75, 'II',  'Di atas rata-rata'],
+        [26, 'III', 'Rata-rata'],
+        [6,  'IV',  'Di bawah rata-rata'],
+        [0,  'V',   'Jauh di bawah rata-rata']
+    ];
+
+    // Tabel norma APM (skor Set II → persentil per kelompok usia) berlisensi dan
+    // tidak disertakan; daftarkan dari manual lewat registerNormaAPM(). Batch
+    // dengan sumberKemampuanUmum 'apm' tanpa norma ditolak validasi.
+    const normaAPM = {};
+
+    // Label sumber IQ / aspek KEMAMPUAN yang ditampilkan di laporan
+    const SUMBER_KEMAMPUAN_LABEL = {
+        cfit:   'CFIT',
+        ist:    'IST',
+        apm:    'APM (Raven)',
+        manual: 'Input manual psikolog'
+    };
+
+    /**
+     * Daftarkan (atau ganti) norma APM untuk satu kelompok usia.
+     * norma: { label, versi, minBulan, maxBulan, persentil: { skorSet2: persentil, ... } }
+     */
+    function registerNormaAPM(kode, norma) {
+        if (!kode || !norma || !norma.persentil || Object.keys(norma.persentil).length === 0) {
+            throw new Error('[PsikogramEngine] registerNormaAPM: kode dan norma.persentil wajib diisi');
+        }
+        normaAPM[kode] = {
+            label:    norma.label || kode,
+            versi:    norma.versi ? String(norma.versi) : null,
+            minBulan: norma.minBulan || 0,
+            maxBulan: norma.maxBulan === undefined ? Infinity : norma.maxBulan,
+            persentil: norma.persentil
+        };
+    }
+
+    // Invers distribusi normal baku (Abramowitz & Stegun 26.2.23, galat < 4.5e-4)
+    function zDariPeluang(p) {
+        const q = p < 0.5 ? p : 1 - p;
+        const t = Math.sqrt(-2 * Math.log(q));
+        const z = t - (2.515517 + 0.802853 * t + 0.010328 * t * t)
+                    / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+        return p < 0.5 ? -z : z;
+    }
+
+    // Persentil → IQ deviasi; persentil ekstrem dibatasi 0,1–99,9
+    function persentilKeIQ(persentil) {
+        const p = Math.min(Math.max(persentil, 0.1), 99.9) / 100;
+        return Math.round(100 + 15 * zDariPeluang(p));
+    }
+
+    /**
+     * Skor APM dari hasil parseX05. null jika Set I dan Set II sama-sama kosong.
+     */
+    function skorAPM(nilai05, umur, kodeNorma) {
+        const mentah = APM_SET.map(([, , idx]) => nilai05[idx]);
+        if (mentah.every(isKosong)) return null;
+
+        const set1 = parseInt(mentah[0]) || 0;
+        const set2 = parseInt(mentah[1]) || 0;
+        const kode  = pilihNormaUsia(normaAPM, umur, kodeNorma);
+        const norma = kode ? normaAPM[kode] : null;
+        const persentil = norma ? getWS(set2, norma.persentil) : null;
+        const grade = persentil === null ? null : APM_GRADE.find(([batas]) => persentil >= batas);
+
+        return {
+            set1,
+            set2,
+            persentil,
+            grade: grade ? { kode: grade[1], label: grade[2] } : null,
+            IQ: persentil === null ? null : persentilKeIQ(persentil),
+            norma: norma ? { kode, label: norma.label } : null
+        };
+    }
+
+    // =========================================================
+    // NORMA EPPS (tabel konversi skor mentah → WS)
+    // Engine hanya membawa tabel 'gabungan' (tabel lama untuk semua peserta);
+    // tabel L/P dan per populasi dari manual tidak disertakan. Pemilihan per
+    // jenis kelamin (dan populasi) dari identitas.jk baru berlaku setelah
+    // tabel itu didaftarkan lewat registerNormaEPPS() — tanpa itu skor EPPS
+    // sama persis dengan perilaku lama.
+    // =========================================================
+
+    // Kunci tabel = kebutuhan EPPS (OUT_s = autonomy, nama lama)
+    const KUNCI_TABEL_EPPS = ['ACH_s','DEF_s','ORD_s','EXH_s','OUT_s','AFF_s','INT_s','SUC_s',
+                              'DOM_s','ABA_s','NUR_s','CHG_s','END_s','HET_s','AGG_s'];
+
+    const normaEPPS = {
+        gabungan: {
+            label: 'Gabungan (L & P)',
+            versi: VERSI_NORMA_BAWAAN,
+            jk: null,
+            populasi: null,
+            tabel: {
+                ACH_s:{28:20,27:20,26:19,25:18,24:17,23:16,22:16,21:15,20:14,19:13,18:12,17:11,16:10,15:9,14:8,13:7,12:6,11:5,10:5,9:4,8:3,7:2,6:1,5:0,4:0,3:0,2:0,1:0,0:0},
+                DEF_s:{22:20,21:19,20:18,19:18,18:18,17:17,16:16,15:15,14:14,13:13,12:11,11:11,10:10,9:9,8:8,7:7,6:6,5:5,4:3,3:3,2:2,1:1,0:0},
+                ORD_s:{28:20,27:19,26:19,25:18,24:17,23:17,22:16,21:15,20:15,19:14,18:13,17:13,16:12,15:11,14:10,13:9,12:9,11:8,10:7,9:7,8:6,7:5,6:5,5:4,4:3,3:3,2:2,1:1,0:1},
+                EXH_s:{24:20,23:19,22:18,21:18,20:17,19:16,18:15,17:15,16:14,15:13,14:12,13:11,12:10,11:9,10:8,9:7,8:7,7:6,6:5,5:4,4:3,3:3,2:2,1:1,0:0},
+                OUT_s:{21:20,20:19,19:18,18:17,17:16,16:15,15:14,14:13,13:12,12:11,11:10,10:9,9:8,8:7,7:6,6:5,5:4,4:3,3:2,2:2,1:1,0:0},
+                AFF_s:{26:20,25:19,24:19,23:18,22:17,21:16,20:15,19:14,18:14,17:13,16:12,15:11,14:10,13:9,12:8,11:8,10:7,9:6,8:5,7:4,6:3,5:3,4:2,3:1,2:1,1:0},
+                INT_s:{28:20,27:20,26:19,25:18,24:17,23:17,22:16,21:15,20:14,19:14,18:13,17:12,16:11,15:10,14:9,13:8,12:7,11:7,10:6,9:5,8:4,7:4,6:3,5:2,4:1,3:1,2:0,1:0},
+                SUC_s:{27:20,26:19,25:19,24:18,23:17,22:17,21:16,20:15,19:15,18:14,17:13,16:13,15:12,14:11,13:10,12:9,11:9,10:8,9:7,8:7,7:6,6:5,5:4,4:4,3:3,2:2,1:1,0:1},
+                DOM_s:{25:20,24:20,23:19,22:18,21:17,20:17,19:16,18:15,17:14,16:14,15:13,14:12,13:11,12:10,11:9,10:8,9:8,8:7,7:6,6:5,5:5,4:4,3:3,2:2,1:1,0:0},
+                ABA_s:{29:20,28:19,27:18,26:18,25:17,24:16,23:15,22:15,21:14,20:13,19:13,18:12,17:11,16:10,15:9,14:8,13:8,12:7,11:6,10:5,9:5,8:4,7:3,6:2,5:2,4:1,3:0,2:0,1:0},
+                NUR_s:{30:20,29:19,28:18,27:18,26:17,25:16,24:16,23:15,22:14,21:14,20:13,19:12,18:12,17:11,16:10,15:9,14:9,13:8,12:7,11:7,10:6,9:5,8:5,7:4,6:3,5:3,4:2,3:1,2:1,1:0},
+                CHG_s:{27:20,26:19,25:18,24:18,23:17,22:16,21:16,20:15,19:14,18:13,17:13,16:12,15:11,14:10,13:9,12:9,11:8,10:7,9:6,8:6,7:5,6:4,5:3,4:3,3:2,2:1,1:1,0:0},
+                END_s:{30:20,29:19,28:18,27:17,26:17,25:16,24:16,23:15,22:14,21:14,20:13,19:13,18:12,17:12,16:11,15:10,14:9,13:9,12:8,11:7,10:7,9:6,8:6,7:5,6:4,5:4,4:3,3:3,2:2,1:1,0:1},
+                HET_s:{26:20,25:19,24:19,23:18,22:18,21:17,20:17,19:16,18:16,17:15,16:15,15:14,14:14,13:13,12:12,11:12,10:11,9:11,8:10,7:9,6:9,5:8,4:8,3:7,2:7,1:6,0:5},
+                AGG_s:{27:20,26:19,25:18,24:18,23:17,22:16,21:16,20:15,19:14,18:14,17:13,16:12,15:12,14:11,13:10,12:9,11:9,10:8,9:7,8:7,7:6,6:5,5:5,4:4,3:3,2:3,1:2,0:1}
+            }
+        }
+    };
+
+    /**
+     * Daftarkan (atau ganti) tabel norma EPPS.
+     * norma: { label, versi, jk: 'L' | 'P' | null, populasi: string | null, tabel: { ACH_s: {skor: ws}, ... } }
+     */
+    function registerNormaEPPS(kode, norma) {
+        if (!kode || !norma || !norma.tabel) throw new Error('[PsikogramEngine] registerNormaEPPS: kode dan norma.tabel wajib diisi');
+        const kurang = KUNCI_TABEL_EPPS.filter(k => !norma.tabel[k]);
+        if (kurang.length > 0) {
+            throw new Error(`[PsikogramEngine] registerNormaEPPS: norma "${kode}" tidak punya tabel ${kurang.join(', ')}`);
+        }
+        normaEPPS[kode] = {
+            label:    norma.label || kode,
+            versi:    norma.versi ? String(norma.versi) : null,
+            jk:       normalisasiJK(norma.jk),
+            populasi: norma.populasi || null,
+            tabel:    norma.tabel
+        };
+    }
+
+    // 'Laki-laki' / 'L' / 'Pria' → 'L', 'Perempuan' / 'P' / 'Wanita' → 'P'
+    function normalisasiJK(jk) {
+        const v = String(jk || '').trim().toLowerCase();
+        if (/^(l|laki|laki-laki|laki laki|pria|male|m)$/.test(v)) return 'L';
+        if (/^(p|perempuan|wanita|female|f)$/.test(v)) return 'P';
+        return null;
+    }
+
+    /**
+     * Pilih norma untuk satu peserta. Urutan: kode eksplisit (opsi.normaEPPS)
+     * → jk + populasi → jk saja → 'gabungan'.
+     */
+    function pilihNormaEPPS(jk, populasi, kodeEksplisit) {
+        if (kodeEksplisit) {
+            if (!normaEPPS[kodeEksplisit]) {
+                throw new Error(`[PsikogramEngine] Norma EPPS "${kodeEksplisit}" tidak dikenal. Tersedia: ${Object.keys(normaEPPS).join(', ')}`);
+            }
+            return kodeEksplisit;
+        }
+        const jkNorm = normalisasiJK(jk);
+        const entri  = Object.entries(normaEPPS);
+        const cocok  = (jkNorm && populasi && entri.find(([, n]) => n.jk === jkNorm && n.populasi === populasi))
+                    || (jkNorm && entri.find(([, n]) => n.jk === jkNorm && !n.populasi));
+        return cocok ? cocok[0] : 'gabungan';
+    }
+
+    function getWS(ss, m) {
+        if (!m) return 0;
+        const keys = Object.keys(m).map(Number).sort((a,b) => b - a);
+        for (const k of keys) {
+            if (ss >= k) return m[k];
+        }
+        return 0;
     }
 
     // =========================================================
     // SKORING EPPS
     // =========================================================
 
-    function skorEPPS(soalEpps) {
+    // 15 kebutuhan EPPS dalam urutan baku lembar profil: [kode, nama, keterangan].
+    // Kode 'aut' memakai ws_out pada hasil skorEPPS (nama lama dipertahankan).
+    const EPPS_KEBUTUHAN = [
+        ['ach', 'Achievement',     'Kebutuhan berprestasi, menyelesaikan tugas sebaik mungkin'],
+        ['def', 'Deference',       'Kebutuhan mengikuti arahan dan menghormati otoritas'],
+        ['ord', 'Order',           'Kebutuhan akan keteraturan dan perencanaan'],
+        ['exh', 'Exhibition',      'Kebutuhan menonjolkan diri dan menjadi pusat perhatian'],
+        ['aut', 'Autonomy',        'Kebutuhan bertindak mandiri dan bebas dari aturan'],
+        ['aff', 'Affiliation',     'Kebutuhan bersahabat dan berada dalam kelompok'],
+        ['int', 'Intraception',    'Kebutuhan memahami perasaan dan motif diri sendiri maupun orang lain'],
+        ['suc', 'Succorance',      'Kebutuhan mendapat dukungan dan bantuan orang lain'],
+        ['dom', 'Dominance',       'Kebutuhan memimpin dan mempengaruhi orang lain'],
+        ['aba', 'Abasement',       'Kebutuhan merendah dan menerima kesalahan'],
+        ['nur', 'Nurturance',      'Kebutuhan menolong dan memperhatikan orang lain'],
+        ['chg', 'Change',          'Kebutuhan akan variasi dan hal-hal baru'],
+        ['end', 'Endurance',       'Kebutuhan bertahan menyelesaikan tugas sampai tuntas'],
+        ['het', 'Heterosexuality', 'Kebutuhan berhubungan dengan lawan jenis'],
+        ['agg', 'Aggression',      'Kebutuhan menyerang, mengkritik dan menentang pendapat']
+    ];
+
+    function skorEPPS(soalEpps, tabelWS) {
         // soalEpps: array 0-indexed, isi 'A' atau 'B'
+        // tabelWS : tabel konversi dari pilihNormaEPPS() — default norma gabungan
         const s = soalEpps;
+        const tabel = tabelWS || normaEPPS.gabungan.tabel;
         const cntA = arr => arr.filter(v => v === 'A').length;
         const cntB = arr => arr.filter(v => v === 'B').length;
 
@@ -153,116 +864,1455 @@
             if (s[a] && s[b] && s[a] === s[b]) konsistensi++;
         });
 
-        // Tabel WS mapping
-        const wsMap = {
-            ACH_s:{28:20,27:20,26:19,25:18,24:17,23:16,22:16,21:15,20:14,19:13,18:12,17:11,16:10,15:9,14:8,13:7,12:6,11:5,10:5,9:4,8:3,7:2,6:1,5:0,4:0,3:0,2:0,1:0,0:0},
-            DEF_s:{22:20,21:19,20:18,19:18,18:18,17:17,16:16,15:15,14:14,13:13,12:11,11:11,10:10,9:9,8:8,7:7,6:6,5:5,4:3,3:3,2:2,1:1,0:0},
-            ORD_s:{28:20,27:19,26:19,25:18,24:17,23:17,22:16,21:15,20:15,19:14,18:13,17:13,16:12,15:11,14:10,13:9,12:9,11:8,10:7,9:7,8:6,7:5,6:5,5:4,4:3,3:3,2:2,1:1,0:1},
-            EXH_s:{24:20,23:19,22:18,21:18,20:17,19:16,18:15,17:15,16:14,15:13,14:12,13:11,12:10,11:9,10:8,9:7,8:7,7:6,6:5,5:4,4:3,3:3,2:2,1:1,0:0},
-            OUT_s:{21:20,20:19,19:18,18:17,17:16,16:15,15:14,14:13,13:12,12:11,11:10,10:9,9:8,8:7,7:6,6:5,5:4,4:3,3:2,2:2,1:1,0:0},
-            AFF_s:{26:20,25:19,24:19,23:18,22:17,21:16,20:15,19:14,18:14,17:13,16:12,15:11,14:10,13:9,12:8,11:8,10:7,9:6,8:5,7:4,6:3,5:3,4:2,3:1,2:1,1:0},
-            INT_s:{28:20,27:20,26:19,25:18,24:17,23:17,22:16,21:15,20:14,19:14,18:13,17:12,16:11,15:10,14:9,13:8,12:7,11:7,10:6,9:5,8:4,7:4,6:3,5:2,4:1,3:1,2:0,1:0},
-            SUC_s:{27:20,26:19,25:19,24:18,23:17,22:17,21:16,20:15,19:15,18:14,17:13,16:13,15:12,14:11,13:10,12:9,11:9,10:8,9:7,8:7,7:6,6:5,5:4,4:4,3:3,2:2,1:1,0:1},
-            DOM_s:{25:20,24:20,23:19,22:18,21:17,20:17,19:16,18:15,17:14,16:14,15:13,14:12,13:11,12:10,11:9,10:8,9:8,8:7,7:6,6:5,5:5,4:4,3:3,2:2,1:1,0:0},
-            ABA_s:{29:20,28:19,27:18,26:18,25:17,24:16,23:15,22:15,21:14,20:13,19:13,18:12,17:11,16:10,15:9,14:8,13:8,12:7,11:6,10:5,9:5,8:4,7:3,6:2,5:2,4:1,3:0,2:0,1:0},
-            NUR_s:{30:20,29:19,28:18,27:18,26:17,25:16,24:16,23:15,22:14,21:14,20:13,19:12,18:12,17:11,16:10,15:9,14:9,13:8,12:7,11:7,10:6,9:5,8:5,7:4,6:3,5:3,4:2,3:1,2:1,1:0},
-            CHG_s:{27:20,26:19,25:18,24:18,23:17,22:16,21:16,20:15,19:14,18:13,17:13,16:12,15:11,14:10,13:9,12:9,11:8,10:7,9:6,8:6,7:5,6:4,5:3,4:3,3:2,2:1,1:1,0:0},
-            END_s:{30:20,29:19,28:18,27:17,26:17,25:16,24:16,23:15,22:14,21:14,20:13,19:13,18:12,17:12,16:11,15:10,14:9,13:9,12:8,11:7,10:7,9:6,8:6,7:5,6:4,5:4,4:3,3:3,2:2,1:1,0:1},
-            HET_s:{26:20,25:19,24:19,23:18,22:18,21:17,20:17,19:16,18:16,17:15,16:15,15:14,14:14,13:13,12:12,11:12,10:11,9:11,8:10,7:9,6:9,5:8,4:8,3:7,2:7,1:6,0:5},
-            AGG_s:{27:20,26:19,25:18,24:18,23:17,22:16,21:16,20:15,19:14,18:14,17:13,16:12,15:12,14:11,13:10,12:9,11:9,10:8,9:7,8:7,7:6,6:5,5:5,4:4,3:3,2:3,1:2,0:1}
+        return {
+            ws_ach: getWS(ach_s, tabel.ACH_s),
+            ws_def: getWS(def_s, tabel.DEF_s),
+            ws_ord: getWS(ord_s, tabel.ORD_s),
+            ws_exh: getWS(exh_s, tabel.EXH_s),
+            ws_out: getWS(out_s, tabel.OUT_s),
+            ws_aff: getWS(aff_s, tabel.AFF_s),
+            ws_int: getWS(int_s, tabel.INT_s),
+            ws_suc: getWS(suc_s, tabel.SUC_s),
+            ws_dom: getWS(dom_s, tabel.DOM_s),
+            ws_aba: getWS(aba_s, tabel.ABA_s),
+            ws_nur: getWS(nur_s, tabel.NUR_s),
+            ws_chg: getWS(chg_s, tabel.CHG_s),
+            ws_end: getWS(end_s, tabel.END_s),
+            ws_het: getWS(het_s, tabel.HET_s),
+            ws_agg: getWS(agg_s, tabel.AGG_s),
+            // Skor mentah (jumlah pilihan) per kebutuhan, kunci sesuai EPPS_KEBUTUHAN
+            raw: {
+                ach: ach_s, def: def_s, ord: ord_s, exh: exh_s, aut: out_s,
+                aff: aff_s, int: int_s, suc: suc_s, dom: dom_s, aba: aba_s,
+                nur: nur_s, chg: chg_s, end: end_s, het: het_s, agg: agg_s
+            },
+            // Rincian skor mentah: r = jumlah A pada butir _r, c = jumlah B pada butir _c (jejak skor)
+            rincian: {
+                ach: { r: cntA(ach_r), c: cntB(ach_c) }, def: { r: cntA(def_r), c: cntB(def_c) },
+                ord: { r: cntA(ord_r), c: cntB(ord_c) }, exh: { r: cntA(exh_r), c: cntB(exh_c) },
+                aut: { r: cntA(aut_r), c: cntB(aut_c) }, aff: { r: cntA(aff_r), c: cntB(aff_c) },
+                int: { r: cntA(int_r), c: cntB(int_c) }, suc: { r: cntA(suc_r), c: cntB(suc_c) },
+                dom: { r: cntA(dom_r), c: cntB(dom_c) }, aba: { r: cntA(aba_r), c: cntB(aba_c) },
+                nur: { r: cntA(nur_r), c: cntB(nur_c) }, chg: { r: cntA(chg_r), c: cntB(chg_c) },
+                end: { r: cntA(end_r), c: cntB(end_c) }, het: { r: cntA(het_r), c: cntB(het_c) },
+                agg: { r: cntA(agg_r), c: cntB(agg_c) }
+            },
+            konsistensi
+        };
+    }
+
+    // =========================================================
+    // VALIDITAS EPPS (KONSISTENSI)
+    // 15 pasang soal diulang; peserta yang menjawab acak hanya cocok
+    // sekitar separuhnya. Ambang bisa diganti lewat opsi.ambangKonsistensi.
+    // =========================================================
+
+    const AMBANG_KONSISTENSI_DEFAULT = { valid: 10, diragukan: 8 };
+
+    /**
+     * konsistensi >= ambang.valid     → 'valid'
+     * konsistensi >= ambang.diragukan → 'diragukan'
+     * di bawahnya                     → 'tidak_valid'
+     * aspekEPPS: index aspek (resultScores) yang bersumber dari EPPS
+     */
+    function validitasEPPS(konsistensi, ambang, aspekEPPS) {
+        ambang = Object.assign({}, AMBANG_KONSISTENSI_DEFAULT, ambang || {});
+        let status, pesan;
+        if (konsistensi >= ambang.valid) {
+            status = 'valid';
+            pesan  = `Konsistensi ${konsistensi}/15 — jawaban EPPS konsisten.`;
+        } else if (konsistensi >= ambang.diragukan) {
+            status = 'diragukan';
+            pesan  = `Konsistensi ${konsistensi}/15 di bawah ${ambang.valid} — jawaban EPPS kurang konsisten, ` +
+                     'aspek kepribadian & sikap kerja perlu ditafsirkan dengan hati-hati.';
+        } else {
+            status = 'tidak_valid';
+            pesan  = `Konsistensi ${konsistensi}/15 di bawah ${ambang.diragukan} — jawaban EPPS kemungkinan diisi acak, ` +
+                     'aspek kepribadian & sikap kerja tidak dapat dipercaya.';
+        }
+        return {
+            status, konsistensi, ambang, pesan,
+            aspekTerdampak: status === 'valid' ? [] : aspekEPPS.slice()
+        };
+    }
+
+    // =========================================================
+    // SKORING RMIB
+    // =========================================================
+
+    // Nomor item (1–96, urut blok 1..8 × 12 item) untuk tiap kategori minat.
+    // Setiap kategori muncul tepat sekali di setiap blok.
+    const RMIB_KUNCI_ITEM = {
+        out:     [1, 24, 35, 46, 57, 68, 79, 90],
+        mech:    [2, 13, 36, 47, 58, 69, 80, 91],
+        comp:    [3, 14, 25, 48, 59, 70, 81, 92],
+        acie:    [4, 15, 26, 37, 60, 71, 82, 93],
+        pers:    [5, 16, 27, 38, 49, 72, 83, 94],
+        aesth:   [6, 17, 28, 39, 50, 61, 84, 95],
+        lite:    [7, 18, 29, 40, 51, 62, 73, 96],
+        mus:     [8, 19, 30, 41, 52, 63, 74, 85],
+        sos_wer: [9, 20, 31, 42, 53, 64, 75, 86],
+        cler:    [10, 21, 32, 43, 54, 65, 76, 87],
+        prac:    [11, 22, 33, 44, 55, 66, 77, 88],
+        med:     [12, 23, 34, 45, 56, 67, 78, 89]
+    };
+
+    // Singkatan kategori (dipakai minatData) — urutan ini juga urutan baku
+    // lembar RMIB, dipakai sebagai pemecah seri terakhir.
+    const RMIB_KATEGORI = [
+        ['OUT', 'out'], ['MECH', 'mech'], ['COMP', 'comp'], ['ACIE', 'acie'],
+        ['PERS', 'pers'], ['AESTH', 'aesth'], ['LITE', 'lite'], ['MUS', 'mus'],
+        ['SOS. WERV', 'sos_wer'], ['CLER', 'cler'], ['PRAC', 'prac'], ['MED', 'med']
+    ];
+
+    // Form RMIB: kunci item → kategori per versi lembar (pria / wanita).
+    // Hanya 'standar' (kunci di atas, selama ini dipakai untuk semua peserta)
+    // yang disertakan; kunci form pria / wanita dari manual didaftarkan lewat
+    // registerFormRMIB(). Lembar yang meminta form yang belum terdaftar ditolak
+    // validasi (RMIB_FORM_TIDAK_DIKENAL).
+    const formRMIB = {
+        standar: { label: 'Standar', jk: null, kunci: RMIB_KUNCI_ITEM }
+    };
+
+    /**
+     * Daftarkan (atau ganti) kunci form RMIB.
+     * form: { label, jk: 'L' | 'P' | null, kunci: { out: [8 nomor item], ..., med: [...] } }
+     * Setiap kategori harus muncul tepat sekali di setiap blok 12 item.
+     */
+    function registerFormRMIB(kode, form) {
+        const salah = `[PsikogramEngine] registerFormRMIB: form "${kode}"`;
+        if (!kode || !form || !form.kunci) throw new Error('[PsikogramEngine] registerFormRMIB: kode dan form.kunci wajib diisi');
+        const terpakai = new Set();
+        RMIB_KATEGORI.forEach(([singkatan, kunci]) => {
+            const items = form.kunci[kunci];
+            if (!Array.isArray(items) || items.length !== JUMLAH_BLOK_RMIB) {
+                throw new Error(`${salah}: kategori ${singkatan} harus punya ${JUMLAH_BLOK_RMIB} nomor item`);
+            }
+            items.forEach((item, b) => {
+                const blokItem = Math.ceil(item / JUMLAH_ITEM_RMIB) - 1;
+                if (!Number.isInteger(item) || blokItem !== b || terpakai.has(item)) {
+                    throw new Error(`${salah}: item ${item} kategori ${singkatan} tidak valid (blok ${b + 1} berisi item ` +
+                        `${b * JUMLAH_ITEM_RMIB + 1}–${(b + 1) * JUMLAH_ITEM_RMIB}, setiap item hanya sekali)`);
+                }
+                terpakai.add(item);
+            });
+        });
+        formRMIB[kode] = { label: form.label || kode, jk: normalisasiJK(form.jk), kunci: form.kunci };
+    }
+
+    /**
+     * Form RMIB untuk satu peserta: opsi eksplisit → field rmib_form
+     * (kode form, atau jenis kelamin mis. 'wanita') → jk biodata → 'standar'.
+     * tidakDikenal = isi rmib_form yang tidak cocok dengan form terdaftar mana pun
+     * (termasuk 'pria' / 'wanita' selama form berjenis kelamin belum didaftarkan).
+     */
+    function pilihFormRMIB(nilaiForm, jk, kodeEksplisit) {
+        if (kodeEksplisit) {
+            if (!formRMIB[kodeEksplisit]) {
+                throw new Error(`[PsikogramEngine] Form RMIB "${kodeEksplisit}" tidak dikenal. Tersedia: ${Object.keys(formRMIB).join(', ')}`);
+            }
+            return { kode: kodeEksplisit, sumber: 'opsi', fallback: false, tidakDikenal: null };
+        }
+        const untukJK = jkNorm => jkNorm ? Object.keys(formRMIB).find(k => formRMIB[k].jk === jkNorm) : null;
+        const isian = String(nilaiForm || '').trim();
+        let tidakDikenal = null;
+        if (isian) {
+            const kode = formRMIB[isian.toLowerCase()] ? isian.toLowerCase() : untukJK(normalisasiJK(isian));
+            if (kode) return { kode, sumber: 'rmib_form', fallback: false, tidakDikenal };
+            tidakDikenal = isian;
+        }
+        const kodeJK = untukJK(normalisasiJK(jk));
+        if (kodeJK) return { kode: kodeJK, sumber: 'jk', fallback: false, tidakDikenal };
+        return { kode: 'standar', sumber: 'standar', fallback: true, tidakDikenal };
+    }
+
+    /**
+     * Peringkat per kategori di kedelapan blok, mis. { out: [3,1,5,...], ... }.
+     * kunci: kunci item form RMIB (default kunci standar)
+     */
+    function rincianRMIB(soalRmib, kunci) {
+        const v = i => parseInt(soalRmib[i - 1]) || 0;
+        const hasil = {};
+        for (const [kat, items] of Object.entries(kunci || RMIB_KUNCI_ITEM)) {
+            hasil[kat] = items.map(v);
+        }
+        return hasil;
+    }
+
+    function skorRMIB(soalRmib, kunci) {
+        const rincian = rincianRMIB(soalRmib, kunci);
+        const hasil = {};
+        for (const [kat, ranks] of Object.entries(rincian)) {
+            hasil[kat] = ranks.reduce((a, b) => a + b, 0);
+        }
+        return hasil;
+    }
+
+    /**
+     * Urutkan 12 kategori minat dari total terkecil (paling diminati).
+     *
+     * Aturan pemecah seri (mode 'aturan', default):
+     *   1. Total peringkat terkecil.
+     *   2. Frekuensi peringkat rendah: peringkat kedelapan blok diurutkan
+     *      naik lalu dibandingkan satu per satu — kategori yang lebih
+     *      sering ditempatkan di peringkat 1 (lalu 2, 3, ...) didahulukan.
+     *   3. Urutan baku kategori di lembar RMIB (OUT, MECH, COMP, ...).
+     *      Jika seri di batas 3 besar baru pecah di langkah ini,
+     *      hasilnya ditandai perluReview — keputusan diserahkan ke psikolog.
+     * Mode 'psikolog': langkah 2 dilewati; setiap seri di batas 3 besar
+     * langsung ditandai perluReview.
+     *
+     * Mengembalikan { urutan: [{ singkatan, kunci, total, peringkat }], seri }.
+     */
+    function urutkanMinat(rmib, rincian, mode) {
+        mode = mode || 'aturan';
+        const profil = kunci => [...(rincian[kunci] || [])].sort((a, b) => a - b);
+        const bandingProfil = (a, b) => {
+            const pa = profil(a.kunci), pb = profil(b.kunci);
+            for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+                if (pa[i] !== pb[i]) return pa[i] - pb[i];
+            }
+            return 0;
+        };
+
+        const urutan = RMIB_KATEGORI
+            .map(([singkatan, kunci], posisi) => ({ singkatan, kunci, total: rmib[kunci], posisi }))
+            .sort((a, b) => (a.total - b.total)
+                || (mode === 'aturan' ? bandingProfil(a, b) : 0)
+                || (a.posisi - b.posisi));
+        urutan.forEach((item, i) => { item.peringkat = i + 1; delete item.posisi; });
+
+        // Seri di batas 3 besar: kategori ke-3 dan ke-4 punya total sama
+        const seri = { adaSeri: false, kategori: [], total: null, diselesaikanOleh: null, perluReview: false, mode, keterangan: '' };
+        const batas = urutan[2], luar = urutan[3];
+        if (batas && luar && batas.total === luar.total) {
+            const grup = urutan.filter(m => m.total === batas.total);
+            seri.adaSeri  = true;
+            seri.kategori = grup.map(m => m.singkatan);
+            seri.total    = batas.total;
+            if (mode === 'aturan' && bandingProfil(batas, luar) !== 0) {
+                seri.diselesaikanOleh = 'frekuensi_peringkat';
+                seri.keterangan = `Total ${batas.total} seri antara ${seri.kategori.join(', ')}; `
+                    + `dipecah berdasarkan frekuensi peringkat rendah.`;
+            } else {
+                seri.diselesaikanOleh = 'urutan_kategori';
+                seri.perluReview = true;
+                seri.keterangan = `Total ${batas.total} seri antara ${seri.kategori.join(', ')} di batas 3 besar `
+                    + `dan tidak dapat dipecah dari data — perlu diputuskan psikolog.`;
+            }
+        }
+        return { urutan, seri };
+    }
+
+    // Pita minat dari total (rata-rata peringkat per blok = total / 8):
+    // total ≤ 40 (rata-rata ≤ 5) tinggi, total ≥ 64 (rata-rata ≥ 8) rendah
+    const RMIB_PITA = { tinggi: 40, rendah: 64 };
+
+    const RMIB_PITA_LABEL = { tinggi: 'Tinggi', sedang: 'Sedang', rendah: 'Rendah' };
+
+    /**
+     * Ranking lengkap 12 kategori dari hasil urutkanMinat():
+     * [{ peringkat, singkatan, kunci, nama, total, pita }] — peringkat 1 = paling diminati.
+     */
+    function rankingMinat(urutan) {
+        return urutan.map(({ peringkat, singkatan, kunci, total }) => {
+            const data = minatData.find(m => m.singkatan === singkatan) || {};
+            const pita = total <= RMIB_PITA.tinggi ? 'tinggi' : total >= RMIB_PITA.rendah ? 'rendah' : 'sedang';
+            return { peringkat, singkatan, kunci, nama: data.arah_minat || singkatan, total, pita };
+        });
+    }
+
+    // =========================================================
+    // KODE HOLLAND (RIASEC) DARI RMIB
+    // Setiap kategori RMIB dipetakan ke dimensi Holland dengan bobot
+    // (MEDICAL dibagi rata ke Investigative & Social). Preferensi kategori
+    // = 13 − rata-rata peringkat per blok (1 = paling tidak diminati,
+    // 12 = paling diminati); skor dimensi = rerata berbobot preferensi
+    // kategorinya, dinyatakan 0–100. Kode = 3 dimensi tertinggi,
+    // seri dipecah menurut urutan R-I-A-S-E-C.
+    // =========================================================
+
+    const RIASEC = [
+        // [kode, nama, nama Indonesia, { kunci RMIB: bobot }]
+        ['R', 'Realistic',     'Realistis',    { out: 1, mech: 1, prac: 1 }],
+        ['I', 'Investigative', 'Investigatif', { acie: 1, med: 0.5 }],
+        ['A', 'Artistic',      'Artistik',     { aesth: 1, lite: 1, mus: 1 }],
+        ['S', 'Social',        'Sosial',       { sos_wer: 1, med: 0.5 }],
+        ['E', 'Enterprising',  'Wirausaha',    { pers: 1 }],
+        ['C', 'Conventional',  'Konvensional', { comp: 1, cler: 1 }]
+    ];
+
+    /**
+     * Kode Holland dari total skorRMIB():
+     * { kode: 'RIA', dimensi: [{ kode, nama, namaId, skor, kategori }] (urutan R-I-A-S-E-C),
+     *   urutan: ['R','I','A',...] (skor tertinggi dulu) }
+     */
+    function hollandRIASEC(rmib) {
+        const preferensi = kunci => 13 - rmib[kunci] / JUMLAH_BLOK_RMIB;
+        const dimensi = RIASEC.map(([kode, nama, namaId, bobot]) => {
+            let total = 0, jumlahBobot = 0;
+            Object.keys(bobot).forEach(k => {
+                total += preferensi(k) * bobot[k];
+                jumlahBobot += bobot[k];
+            });
+            const kategori = RMIB_KATEGORI.filter(([, k]) => bobot[k]).map(([singkatan]) => singkatan);
+            return { kode, nama, namaId, skor: Math.round((total / jumlahBobot - 1) / 11 * 100), kategori };
+        });
+        const urutan = dimensi.map((d, i) => ({ kode: d.kode, skor: d.skor, i }))
+            .sort((a, b) => (b.skor - a.skor) || (a.i - b.i))
+            .map(d => d.kode);
+        return { kode: urutan.slice(0, 3).join(''), dimensi, urutan };
+    }
+
+    /**
+     * Ringkasan minat satu angkatan untuk dasbor analisa. daftar: peserta
+     * { minat: ['nama minat', ...] (x_10, peringkat 1 dulu), holland: 'RIA' (x_16), ... }
+     * — objek peserta dikembalikan apa adanya di entries.
+     * → { minat: [{ label, entries }] (minat peringkat 1, terbanyak dulu, maks jumlahMinat),
+     *     totalMinat, holland: [{ kode, label, entries }] (dimensi dominan, urutan R-I-A-S-E-C),
+     *     totalHolland, kodeTeratas: [{ kode, jumlah }] (3 kode Holland terbanyak) }
+     */
+    function ringkasanMinat(daftar, jumlahMinat = 8) {
+        const perMinat = {};
+        const holland = RIASEC.map(([kode, , namaId]) => ({ kode, label: namaId, entries: [] }));
+        const perKode = {};
+        daftar.forEach(p => {
+            const utama = p.minat && p.minat[0];
+            if (utama) (perMinat[utama] = perMinat[utama] || []).push(p);
+            if (p.holland) {
+                const dominan = holland.find(d => d.kode === p.holland[0]);
+                if (dominan) dominan.entries.push(p);
+                perKode[p.holland] = (perKode[p.holland] || 0) + 1;
+            }
+        });
+        const minat = Object.entries(perMinat)
+            .map(([label, entries]) => ({ label, entries }))
+            .sort((a, b) => b.entries.length - a.entries.length);
+        return {
+            minat:        minat.slice(0, jumlahMinat),
+            totalMinat:   minat.reduce((t, d) => t + d.entries.length, 0),
+            holland,
+            totalHolland: holland.reduce((t, d) => t + d.entries.length, 0),
+            kodeTeratas:  Object.entries(perKode).sort((a, b) => b[1] - a[1]).slice(0, 3)
+                .map(([kode, jumlah]) => ({ kode, jumlah }))
         };
+    }
+
+    // =========================================================
+    // KONVERSI SKOR KE SKALA 1–10
+    // Kriteria bawaan di bawah bisa diganti per klien dengan set norma
+    // bernama & berversi (registerNormaSkala / muatNormaSkala dari JSON):
+    //   { kode, nama, versi, tabel: { kunci: [[batas, skala], ...] } }
+    // kunci = kode aspek (mis. 'kerjasama') untuk tabel khusus aspek itu,
+    // atau kunci kriteria ('iq', 'cfit', 'tkd3', 'tkd6', 'ach') untuk
+    // semua aspek yang memakainya. Kunci yang tidak ada → kriteria bawaan.
+    // =========================================================
+
+    // Batas atas skor mentah untuk tiap nilai skala — [batas, skala]
+    const KRITERIA_SKALA = {
+        iq:   [[60,1],[69,2],[79,3],[89,4],[99,5],[109,6],[119,7],[129,8],[139,9],[Infinity,10]],
+        cfit: [[2,1],[3,2],[4,3],[5,4],[7,5],[8,6],[9,7],[10,8],[11,9],[Infinity,10]],
+        tkd3: [[12,1],[16,2],[20,3],[23,4],[27,5],[31,6],[35,7],[38,8],[40,9],[Infinity,10]],
+        tkd6: [[2,1],[5,2],[9,3],[12,4],[16,5],[19,6],[23,7],[26,8],[30,9],[Infinity,10]],
+        ach:  [[2,1],[4,2],[6,3],[8,4],[10,5],[12,6],[14,7],[16,8],[18,9],[Infinity,10]]
+    };
+
+    const normaSkala = {
+        bawaan: { nama: 'Bawaan engine', versi: VERSI_NORMA_BAWAAN, tabel: KRITERIA_SKALA }
+    };
+
+    // Kriteria dari JSON: batas terakhir boleh null / "Infinity" (JSON tidak punya Infinity)
+    function normalisasiKriteria(kodeNorma, kunci, kriteria) {
+        const salah = `[PsikogramEngine] registerNormaSkala: tabel "${kunci}" di norma "${kodeNorma}"`;
+        if (!Array.isArray(kriteria) || kriteria.length === 0) throw new Error(`${salah} harus array [batas, skala]`);
+        const hasil = kriteria.map(([batas, skala], i) => {
+            if (batas === null || batas === 'Infinity') batas = Infinity;
+            if (typeof batas !== 'number' || isNaN(batas)) throw new Error(`${salah}: batas baris ${i + 1} bukan angka`);
+            if (!Number.isInteger(skala) || skala < 1 || skala > 10) throw new Error(`${salah}: skala baris ${i + 1} harus 1–10`);
+            return [batas, skala];
+        });
+        for (let i = 1; i < hasil.length; i++) {
+            if (hasil[i][0] <= hasil[i - 1][0]) throw new Error(`${salah}: batas harus naik (baris ${i + 1})`);
+        }
+        return hasil;
+    }
+
+    /**
+     * Daftarkan (atau ganti) set norma skala 1–10.
+     * norma: { nama, versi, tabel: { kunci: [[batas, skala], ...] } }
+     */
+    function registerNormaSkala(kode, norma) {
+        if (!kode || !norma || !norma.tabel) throw new Error('[PsikogramEngine] registerNormaSkala: kode dan norma.tabel wajib diisi');
+        if (kode === 'bawaan') throw new Error('[PsikogramEngine] registerNormaSkala: norma "bawaan" tidak bisa diganti');
+        if (!norma.versi) throw new Error(`[PsikogramEngine] registerNormaSkala: norma "${kode}" wajib punya versi`);
+        const tabel = {};
+        Object.keys(norma.tabel).forEach(kunci => { tabel[kunci] = normalisasiKriteria(kode, kunci, norma.tabel[kunci]); });
+        normaSkala[kode] = { nama: norma.nama || kode, versi: String(norma.versi), tabel };
+    }
+
+    /**
+     * Muat set norma dari JSON (string atau objek hasil fetch): satu objek
+     * { kode, nama, versi, tabel } atau array objek tersebut.
+     * Mengembalikan daftar kode yang didaftarkan.
+     */
+    function muatNormaSkala(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const daftar = Array.isArray(data) ? data : [data];
+        daftar.forEach(n => registerNormaSkala(n && n.kode, n));
+        return daftar.map(n => n.kode);
+    }
+
+    function getNormaSkala(kode) {
+        const norma = normaSkala[kode || 'bawaan'];
+        if (!norma) {
+            throw new Error(`[PsikogramEngine] Norma skala "${kode}" tidak dikenal. Tersedia: ${Object.keys(normaSkala).join(', ')}`);
+        }
+        return norma;
+    }
+
+    /**
+     * Tabel yang dipakai satu aspek: tabel khusus aspek → tabel kriteria di
+     * set norma → kriteria bawaan. Dikembalikan bersama asal & versinya.
+     */
+    function pilihTabelSkala(kodeNorma, kodeAspek, kriteria) {
+        const norma = getNormaSkala(kodeNorma);
+        const kunci = kodeAspek && norma.tabel[kodeAspek] ? kodeAspek : norma.tabel[kriteria] ? kriteria : null;
+        if (kunci) return { kode: kodeNorma || 'bawaan', nama: norma.nama, versi: norma.versi, tabel: kunci, kriteria: norma.tabel[kunci] };
+        const bawaan = normaSkala.bawaan;
+        return { kode: 'bawaan', nama: bawaan.nama, versi: bawaan.versi, tabel: kriteria, kriteria: bawaan.tabel[kriteria] || bawaan.tabel.ach };
+    }
+
+    function skalaDariKriteria(value, crit) {
+        for (const [limit, score] of crit) {
+            if (value <= limit) return score;
+        }
+        return 10;
+    }
+
+    function getScore(value, type) {
+        return skalaDariKriteria(value, KRITERIA_SKALA[type] || KRITERIA_SKALA.ach);
+    }
+
+    // Kategori skala 1–10 mengikuti legenda tabel aspek: K / C / B / BS
+    function kategoriSkala(skor) {
+        if (skor <= 4) return { kode: 'K',  label: 'Kurang' };
+        if (skor <= 6) return { kode: 'C',  label: 'Cukup' };
+        if (skor <= 8) return { kode: 'B',  label: 'Baik' };
+        return { kode: 'BS', label: 'Baik Sekali' };
+    }
+
+    /**
+     * Profil lengkap 15 kebutuhan EPPS: skor mentah, WS (0–20), skala 1–10
+     * (kriteria 'ach' yang juga dipakai aspek kepribadian) dan kategorinya.
+     * Tabel persentil manual EPPS tidak tersedia di engine, sehingga posisi
+     * relatif dinyatakan lewat skala & kategori.
+     */
+    function profilEPPS(epps) {
+        return EPPS_KEBUTUHAN.map(([kode, nama, keterangan]) => {
+            const ws = epps[kode === 'aut' ? 'ws_out' : 'ws_' + kode];
+            const skala = getScore(ws, 'ach');
+            return { kode, nama, keterangan, raw: epps.raw[kode], ws, skala, kategori: kategoriSkala(skala).kode };
+        });
+    }
+
+    /**
+     * Baca satu kolom lewat adapter. Kolom yang tidak bisa dibaca (mis. JSON
+     * rusak) diperlakukan kosong dan dicatat lewat catat(field, pesan).
+     */
+    function bacaKolom(adapter, namaAdapter, data, field, fn, catat) {
+        try {
+            return adapter[fn](data[field] || '');
+        } catch (e) {
+            catat(field, `Kolom ${field} tidak bisa dibaca dengan adapter "${namaAdapter}": ${e.message}`);
+            return adapter[fn]('');
+        }
+    }
+
+    // =========================================================
+    // DEFINISI ASPEK PSIKOGRAM
+    // Aspek adalah data, bukan rumus di hitungPsikogram, agar tiap klien
+    // (sekolah, kampus, rekrutmen) bisa memakai set aspek sendiri tanpa
+    // mengubah engine. Satu aspek:
+    //   kode, nama, grup, keterangan
+    //   sumber : { VARIABEL: bobot } — skor = rerata berbobot variabel
+    //   norma  : kriteria konversi ke skala 1–10 ('iq', 'cfit', 'tkd3', 'tkd6',
+    //            'ach' atau kunci tabel set norma — lihat KONVERSI SKOR)
+    //   alternatif.ist : { sumber, norma, cadangan } — dipakai bila KEMAMPUAN
+    //            dari IST; cadangan = hanya bila subtes sumber utama kosong
+    //   teks   : { teks2, teks3, teks5 } — kalimat kelebihan / kelemahan /
+    //            rekomendasi; default kekuatanKelemahan dengan teks1 = nama
+    // Variabel: IQ, CFIT1..CFIT4, TKD3, TKD6, WS EPPS (ACH, DEF, ORD, EXH,
+    // AUT, AFF, INT, SUC, DOM, ABA, NUR, CHG, END, HET, AGG) dan
+    // IST_SE..IST_ME (SW subtes IST dalam skala IQ).
+    // =========================================================
+
+    const ASPEK_STANDAR = [
+        { kode: 'kemampuan_umum', nama: 'Kemampuan Umum', grup: 'KEMAMPUAN',
+          keterangan: 'Mampu menemukan solusi untuk berbagai masalah dengan efektif.',
+          sumber: { IQ: 1 }, norma: 'iq' },
+        { kode: 'daya_tangkap_visual', nama: 'Daya Tangkap Visual', grup: 'KEMAMPUAN',
+          keterangan: 'Cepat mengenali pola dan perbedaan di lingkungan sekitar.',
+          sumber: { CFIT2: 1 }, norma: 'cfit',
+          alternatif: { ist: { sumber: { IST_FA: 1 }, norma: 'iq' } } },
+        { kode: 'kemampuan_berpikir_logis', nama: 'Kemampuan Berpikir Logis', grup: 'KEMAMPUAN',
+          keterangan: 'Mampu membuat keputusan berdasarkan alasan yang jelas dalam situasi tertentu.',
+          sumber: { CFIT1: 1, CFIT4: 1 }, norma: 'cfit',
+          alternatif: { ist: { sumber: { IST_AN: 1, IST_ZR: 1 }, norma: 'iq' } } },
+        { kode: 'kemampuan_berpikir_abstrak', nama: 'Kemampuan Berpikir Abstrak', grup: 'KEMAMPUAN',
+          keterangan: 'Mampu melihat hubungan antara berbagai hal dan memahami konsekuensi dari tindakan.',
+          sumber: { CFIT3: 1 }, norma: 'cfit',
+          alternatif: { ist: { sumber: { IST_GE: 1, IST_WU: 1 }, norma: 'iq' } } },
+        { kode: 'penalaran_verbal', nama: 'Penalaran Verbal', grup: 'KEMAMPUAN',
+          keterangan: 'Mampu berkomunikasi dengan jelas dan efektif dalam interaksi.',
+          sumber: { TKD3: 1 }, norma: 'tkd3',
+          alternatif: { ist: { sumber: { IST_SE: 1, IST_WA: 1 }, norma: 'iq', cadangan: true } } },
+        { kode: 'penalaran_numerik', nama: 'Penalaran Numerik', grup: 'KEMAMPUAN',
+          keterangan: 'Kemampuan memahami proses hitung dan berpikir teratur',
+          sumber: { TKD6: 1 }, norma: 'tkd6',
+          alternatif: { ist: { sumber: { IST_RA: 1, IST_ZR: 1 }, norma: 'iq', cadangan: true } } },
+        { kode: 'hasrat_berprestasi', nama: 'Hasrat Berprestasi', grup: 'KEPRIBADIAN',
+          keterangan: 'Keinginan untuk mencapai dan meningkatkan prestasi',
+          sumber: { ACH: 1 }, norma: 'ach' },
+        { kode: 'daya_tahan_stress', nama: 'Daya Tahan Stress', grup: 'KEPRIBADIAN',
+          keterangan: 'Kemampuan mempertahankan kinerja',
+          sumber: { DOM: 1, ACH: 1, AUT: 1 }, norma: 'ach' },
+        { kode: 'kepercayaan_diri', nama: 'Kepercayaan Diri', grup: 'KEPRIBADIAN',
+          keterangan: 'Adanya keyakinan terhadap kemampuan yang dimiliki',
+          sumber: { EXH: 1 }, norma: 'ach' },
+        { kode: 'relasi_sosial', nama: 'Relasi Sosial', grup: 'KEPRIBADIAN',
+          keterangan: 'Kemampuan membina hubungan dengan orang lain',
+          sumber: { AFF: 1 }, norma: 'ach' },
+        { kode: 'kerjasama', nama: 'Kerjasama', grup: 'KEPRIBADIAN',
+          keterangan: 'Kemampuan bekerjasama individu atau berkelompok',
+          sumber: { DEF: 1 }, norma: 'ach' },
+        { kode: 'sistematika_kerja', nama: 'Sistematika Kerja', grup: 'SIKAP KERJA',
+          keterangan: 'Kemampuan membuat perencanaan & prioritas kerja',
+          sumber: { ORD: 1 }, norma: 'ach' },
+        { kode: 'inisiatif', nama: 'Inisiatif', grup: 'SIKAP KERJA',
+          keterangan: 'Kemampuan mengambil tindakan yang diperlukan',
+          sumber: { DOM: 1, ACH: 1, AUT: 1 }, norma: 'ach' },
+        { kode: 'kemandirian', nama: 'Kemandirian', grup: 'SIKAP KERJA',
+          keterangan: 'Kemampuan mengambil sikap dan bekerja sendiri',
+          sumber: { AUT: 1 }, norma: 'ach' }
+    ];
+
+    // Subtes asal tiap variabel — untuk status "data tersedia" per aspek.
+    // IQ mengikuti sumberKemampuanUmum, sehingga tidak tercantum di sini.
+    const SUBTES_VARIABEL = { CFIT1: 'cfit', CFIT2: 'cfit', CFIT3: 'cfit', CFIT4: 'cfit', TKD3: 'tkd3', TKD6: 'tkd6' };
+    EPPS_KEBUTUHAN.forEach(([kode]) => { SUBTES_VARIABEL[kode.toUpperCase()] = 'epps'; });
+    IST_SUBTES.forEach(([, singkatan]) => { SUBTES_VARIABEL['IST_' + singkatan] = 'ist'; });
+
+    const setAspek = { standar: ASPEK_STANDAR };
+
+    // Teks kelebihan / kelemahan / rekomendasi milik aspek
+    function teksAspek(aspek) {
+        return aspek.teks || kekuatanKelemahan.find(k => k.teks1 === aspek.nama) || null;
+    }
+
+    function cekSumberAspek(kodeSet, nama, sumber, norma) {
+        const salah = `[PsikogramEngine] registerSetAspek: aspek "${nama}" di set "${kodeSet}"`;
+        const variabel = Object.keys(sumber || {});
+        if (variabel.length === 0) throw new Error(`${salah} tidak punya sumber`);
+        const asing = variabel.filter(v => v !== 'IQ' && !SUBTES_VARIABEL[v]);
+        if (asing.length > 0) throw new Error(`${salah} memakai variabel tidak dikenal: ${asing.join(', ')}`);
+        if (variabel.some(v => !(sumber[v] > 0))) throw new Error(`${salah}: bobot sumber harus angka > 0`);
+        if (!norma || !Object.values(normaSkala).some(n => n.tabel[norma])) {
+            throw new Error(`${salah} memakai norma tidak dikenal "${norma}"`);
+        }
+    }
+
+    /**
+     * Daftarkan (atau ganti) set aspek, lalu pilih lewat opsi.setAspek.
+     * definisi: array aspek dengan bentuk seperti ASPEK_STANDAR. Aspek tanpa
+     * teks wajib bernama sama dengan salah satu entri kekuatanKelemahan.
+     */
+    function registerSetAspek(kode, definisi) {
+        if (!kode || !Array.isArray(definisi) || definisi.length === 0) {
+            throw new Error('[PsikogramEngine] registerSetAspek: kode dan definisi (array aspek) wajib diisi');
+        }
+        // Kelebihan / kelemahan / rekomendasi selalu mengambil 3 aspek teratas & terbawah
+        if (definisi.length < 3) {
+            throw new Error(`[PsikogramEngine] registerSetAspek: set "${kode}" minimal berisi 3 aspek`);
+        }
+        const daftar = definisi.map(a => {
+            if (!a || !a.nama || !a.grup) {
+                throw new Error(`[PsikogramEngine] registerSetAspek: setiap aspek di set "${kode}" wajib punya nama dan grup`);
+            }
+            cekSumberAspek(kode, a.nama, a.sumber, a.norma);
+            if (a.alternatif && a.alternatif.ist) cekSumberAspek(kode, a.nama, a.alternatif.ist.sumber, a.alternatif.ist.norma);
+            if (!teksAspek(a)) {
+                throw new Error(`[PsikogramEngine] registerSetAspek: aspek "${a.nama}" di set "${kode}" tidak punya teks`);
+            }
+            return Object.assign({ kode: a.nama.toLowerCase().replace(/[^a-z0-9]+/g, '_'), keterangan: '' }, a);
+        });
+        setAspek[kode] = daftar;
+        lupakanSidikKonten();
+    }
+
+    function getSetAspek(kode) {
+        const set = setAspek[kode || 'standar'];
+        if (!set) {
+            throw new Error(`[PsikogramEngine] Set aspek "${kode}" tidak dikenal. Tersedia: ${Object.keys(setAspek).join(', ')}`);
+        }
+        return set;
+    }
+
+    // Rerata berbobot variabel sumber → skala 1–10 dengan kriteria tabel
+    function skorAspek(sumber, kriteria, variabel) {
+        let total = 0, bobot = 0;
+        Object.keys(sumber).forEach(v => {
+            total += variabel[v] * sumber[v];
+            bobot += sumber[v];
+        });
+        return skalaDariKriteria(total / bobot, kriteria);
+    }
+
+    // Bentuk lama [section, nama, keterangan] — section hanya di aspek pertama tiap grup
+    function keAspekPsikologis(definisi) {
+        return definisi.map((a, i) => [
+            i === 0 || definisi[i - 1].grup !== a.grup ? a.grup : null, a.nama, a.keterangan
+        ]);
+    }
+
+    // =========================================================
+    // PROFIL JABATAN & INDEKS KECOCOKAN
+    // Profil target untuk klien rekrutmen:
+    //   { nama, setAspek, aspek: { kode_aspek: { minimum, ideal, bobot } },
+    //     minimumIQ, minat: ['SCI', ...], ambang: { disarankan, dipertimbangkan } }
+    // Kecocokan per aspek = skor / ideal (maks 1), dirata-rata berbobot
+    // menjadi persen. Kesimpulan:
+    //   IQ di bawah minimumIQ atau persen < ambang.dipertimbangkan → tidak_disarankan
+    //   semua aspek ≥ minimum dan persen ≥ ambang.disarankan       → disarankan
+    //   selain itu                                                 → dipertimbangkan
+    // IQ tanpa data sumber (iqTersedia false) tidak dinilai (memenuhi = null):
+    // tidak menggagalkan kandidat, tetapi kesimpulan paling tinggi 'dipertimbangkan'.
+    // Minat RMIB yang diutamakan hanya dilaporkan, tidak mengubah persen;
+    // tanpa data RMIB kecocokan minat tidak dinilai (cocok = null).
+    // =========================================================
+
+    const AMBANG_KECOCOKAN_DEFAULT = { disarankan: 85, dipertimbangkan: 70 };
+
+    const KESIMPULAN_KECOCOKAN = {
+        disarankan:       'Disarankan',
+        dipertimbangkan:  'Dipertimbangkan',
+        tidak_disarankan: 'Tidak disarankan'
+    };
+
+    const profilJabatan = {};
+
+    /**
+     * Daftarkan (atau ganti) profil jabatan. Kode aspek dicek terhadap set
+     * aspek profil (default 'standar') agar salah ketik langsung ketahuan.
+     */
+    function registerProfilJabatan(kode, profil) {
+        const salah = `[PsikogramEngine] registerProfilJabatan: profil "${kode}"`;
+        if (!kode || !profil || !profil.aspek || Object.keys(profil.aspek).length === 0) {
+            throw new Error('[PsikogramEngine] registerProfilJabatan: kode dan profil.aspek wajib diisi');
+        }
+        const kodeSet = profil.setAspek || 'standar';
+        const definisi = getSetAspek(kodeSet);
+        const aspek = {};
+        Object.keys(profil.aspek).forEach(k => {
+            if (!definisi.some(a => a.kode === k)) throw new Error(`${salah}: aspek "${k}" tidak ada di set "${kodeSet}"`);
+            const { minimum, ideal, bobot = 1 } = profil.aspek[k];
+            if (!(minimum >= 1 && ideal <= 10 && minimum <= ideal)) {
+                throw new Error(`${salah}: aspek "${k}" harus memenuhi 1 ≤ minimum ≤ ideal ≤ 10`);
+            }
+            if (!(bobot > 0)) throw new Error(`${salah}: bobot aspek "${k}" harus angka > 0`);
+            aspek[k] = { minimum, ideal, bobot };
+        });
+        profilJabatan[kode] = {
+            nama:      profil.nama || kode,
+            setAspek:  kodeSet,
+            aspek,
+            minimumIQ: profil.minimumIQ || null,
+            minat:     (profil.minat || []).map(m => String(m).toUpperCase()),
+            ambang:    Object.assign({}, AMBANG_KECOCOKAN_DEFAULT, profil.ambang || {})
+        };
+    }
+
+    /**
+     * Cocokkan hasil hitungPsikogram dengan profil jabatan terdaftar.
+     * Aspek yang ditahan (EPPS tidak valid) atau datanya tidak tersedia
+     * tidak ikut dihitung dan kesimpulannya paling tinggi 'dipertimbangkan'.
+     */
+    function hitungKecocokan(hasil, kodeProfil) {
+        const profil = profilJabatan[kodeProfil];
+        if (!profil) {
+            throw new Error(`[PsikogramEngine] Profil jabatan "${kodeProfil}" tidak dikenal. Tersedia: ${Object.keys(profilJabatan).join(', ')}`);
+        }
+        if (hasil.setAspek !== profil.setAspek) {
+            throw new Error(`[PsikogramEngine] Profil jabatan "${kodeProfil}" untuk set aspek "${profil.setAspek}", hasil memakai "${hasil.setAspek}"`);
+        }
+
+        let total = 0, bobot = 0;
+        const aspek = Object.keys(profil.aspek).map(kode => {
+            const i = hasil.aspek.findIndex(a => a.kode === kode);
+            const { minimum, ideal } = profil.aspek[kode];
+            const skor = hasil.resultScores[i];
+            let status;
+            if (hasil.aspekDitahan.includes(i))  status = 'ditahan';
+            else if (!hasil.aspek[i].tersedia)   status = 'tidak_tersedia';
+            else if (skor >= ideal)              status = 'ideal';
+            else if (skor >= minimum)            status = 'memenuhi';
+            else                                 status = 'di_bawah_minimum';
+            if (status !== 'ditahan' && status !== 'tidak_tersedia') {
+                total += Math.min(skor / ideal, 1) * profil.aspek[kode].bobot;
+                bobot += profil.aspek[kode].bobot;
+            }
+            return {
+                kode, nama: hasil.aspek[i].nama, skor, minimum, ideal,
+                selisihMinimum: skor - minimum,
+                selisihIdeal:   skor - ideal,
+                status
+            };
+        });
+        const persen = bobot > 0 ? Math.round(total / bobot * 100) : null;
+
+        const iq = profil.minimumIQ === null ? null
+            : { skor: hasil.IQ, minimum: profil.minimumIQ,
+                memenuhi: hasil.iqTersedia === false ? null : hasil.IQ >= profil.minimumIQ };
+        // rankingMinat null = RMIB kosong; minat3 saat itu hanya urutan default, bukan minat peserta
+        const minatPeserta = hasil.minat3.map(m => m.singkatan.toUpperCase());
+        const minat = profil.minat.length === 0 ? null
+            : { diutamakan: profil.minat, cocok: hasil.rankingMinat ? profil.minat.filter(m => minatPeserta.includes(m)) : null };
+
+        const adaDiBawahMinimum = aspek.some(a => a.status === 'di_bawah_minimum');
+        const adaTidakDinilai   = aspek.some(a => a.status === 'ditahan' || a.status === 'tidak_tersedia')
+            || (iq !== null && iq.memenuhi === null);
+        let kesimpulan;
+        if ((iq && iq.memenuhi === false) || persen === null || persen < profil.ambang.dipertimbangkan) kesimpulan = 'tidak_disarankan';
+        else if (!adaDiBawahMinimum && !adaTidakDinilai && persen >= profil.ambang.disarankan) kesimpulan = 'disarankan';
+        else kesimpulan = 'dipertimbangkan';
+
+        return {
+            profil: { kode: kodeProfil, nama: profil.nama },
+            persen,
+            aspek,
+            iq,
+            minat,
+            kesimpulan: { kode: kesimpulan, label: KESIMPULAN_KECOCOKAN[kesimpulan] }
+        };
+    }
+
+    // =========================================================
+    // KATALOG PROGRAM STUDI & REKOMENDASI JURUSAN
+    // Setiap program studi ditandai kategori RMIB yang relevan dan
+    // skor minimum aspek (skala 1–10) dari set aspek yang dipakai:
+    //   { nama, rumpun, minat: ['COMP', ...], aspek: { kode_aspek: minimum },
+    //     minimumIQ, setAspek }
+    // Hanya program yang kategori minatnya termasuk minat3 peserta yang
+    // dinilai. Skor = 60% minat (peringkat 1/2/3 → 1 / 0,8 / 0,6) +
+    // 40% kemampuan (rerata skor/minimum, maks 1). Program yang semua
+    // syaratnya terpenuhi (status 'disarankan') selalu di atas program
+    // 'bersyarat'. Syarat yang tidak dapat dinilai (aspek ditahan/tidak
+    // tersedia, IQ tanpa data sumber) dianggap belum terpenuhi: tetap
+    // dihitung dalam rerata dengan nilai 0, bukan dilewati.
+    // =========================================================
+
+    const BOBOT_PERINGKAT_MINAT = [1, 0.8, 0.6];
+
+    const STATUS_PROGRAM_STUDI = {
+        disarankan: 'Disarankan',
+        bersyarat:  'Bersyarat'
+    };
+
+    const KATALOG_PROGRAM_STUDI = [
+        // [kode, nama, rumpun, minat RMIB, { aspek: minimum }]
+        ['kehutanan',         'Kehutanan',                     'Pertanian & Lingkungan', ['OUT'],               { kemampuan_umum: 5 }],
+        ['agroteknologi',     'Agroteknologi',                 'Pertanian & Lingkungan', ['OUT', 'ACIE'],       { kemampuan_umum: 5, kemampuan_berpikir_logis: 5 }],
+        ['agribisnis',        'Agribisnis',                    'Pertanian & Lingkungan', ['OUT', 'PERS'],       { kemampuan_umum: 5, penalaran_numerik: 5 }],
+        ['ilmu_kelautan',     'Ilmu Kelautan',                 'Pertanian & Lingkungan', ['OUT', 'ACIE'],       { kemampuan_umum: 5, kemampuan_berpikir_logis: 5 }],
+        ['geografi',          'Geografi',                      'Pertanian & Lingkungan', ['OUT'],               { kemampuan_umum: 5, daya_tangkap_visual: 5 }],
+        ['sastra_indonesia',  'Sastra Indonesia',              'Bahasa & Komunikasi',    ['LITE'],              { penalaran_verbal: 6 }],
+        ['sastra_inggris',    'Sastra Inggris',                'Bahasa & Komunikasi',    ['LITE'],              { penalaran_verbal: 6 }],
+        ['pend_bahasa',       'Pendidikan Bahasa Indonesia/Inggris', 'Bahasa & Komunikasi', ['LITE', 'SOS. WERV'], { penalaran_verbal: 6, relasi_sosial: 5 }],
+        ['ilmu_komunikasi',   'Ilmu Komunikasi',               'Bahasa & Komunikasi',    ['LITE', 'PERS'],      { penalaran_verbal: 6, relasi_sosial: 6 }],
+        ['teknik_mesin',      'Teknik Mesin',                  'Teknik',                 ['MECH'],              { penalaran_numerik: 6, daya_tangkap_visual: 6, kemampuan_berpikir_logis: 6 }],
+        ['teknik_industri',   'Teknik Industri',               'Teknik',                 ['MECH', 'COMP'],      { penalaran_numerik: 6, kemampuan_berpikir_logis: 6, sistematika_kerja: 5 }],
+        ['teknik_elektro',    'Teknik Elektro',                'Teknik',                 ['MECH', 'ACIE'],      { penalaran_numerik: 6, kemampuan_berpikir_abstrak: 6 }],
+        ['teknik_perkapalan', 'Teknik Perkapalan',             'Teknik',                 ['MECH', 'OUT'],       { penalaran_numerik: 6, daya_tangkap_visual: 6 }],
+        ['teknik_sipil',      'Teknik Sipil',                  'Teknik',                 ['PRAC', 'MECH'],      { penalaran_numerik: 6, daya_tangkap_visual: 6 }],
+        ['teknik_lingkungan', 'Teknik Lingkungan',             'Teknik',                 ['PRAC', 'OUT'],       { penalaran_numerik: 5, kemampuan_berpikir_logis: 5 }],
+        ['teknik_geologi',    'Teknik Geologi',                'Teknik',                 ['PRAC', 'OUT'],       { penalaran_numerik: 5, daya_tangkap_visual: 6 }],
+        ['teknologi_pangan',  'Teknologi Pangan',              'Teknik',                 ['PRAC', 'ACIE'],      { kemampuan_berpikir_logis: 5, penalaran_numerik: 5 }],
+        ['seni_musik',        'Seni Musik',                    'Seni & Desain',          ['MUS'],               { kemampuan_umum: 4 }],
+        ['pend_musik',        'Pendidikan Musik',              'Seni & Desain',          ['MUS', 'SOS. WERV'],  { kemampuan_umum: 4, relasi_sosial: 5 }],
+        ['seni_pertunjukan',  'Seni Pertunjukan',              'Seni & Desain',          ['MUS', 'AESTH'],      { kemampuan_umum: 4, kepercayaan_diri: 5 }],
+        ['dkv',               'Desain Komunikasi Visual',      'Seni & Desain',          ['AESTH'],             { daya_tangkap_visual: 6, kemampuan_berpikir_abstrak: 5 }],
+        ['desain_interior',   'Desain Interior',               'Seni & Desain',          ['AESTH', 'PRAC'],     { daya_tangkap_visual: 6 }],
+        ['seni_rupa',         'Seni Rupa',                     'Seni & Desain',          ['AESTH'],             { daya_tangkap_visual: 5 }],
+        ['film_televisi',     'Film dan Televisi',             'Seni & Desain',          ['AESTH', 'LITE'],     { daya_tangkap_visual: 5, penalaran_verbal: 5 }],
+        ['akuntansi',         'Akuntansi',                     'Ekonomi & Bisnis',       ['COMP', 'CLER'],      { penalaran_numerik: 6, sistematika_kerja: 6 }],
+        ['manajemen',         'Manajemen',                     'Ekonomi & Bisnis',       ['PERS', 'CLER'],      { kemampuan_umum: 5, penalaran_verbal: 5, inisiatif: 5 }],
+        ['administrasi_bisnis', 'Administrasi Bisnis',         'Ekonomi & Bisnis',       ['CLER', 'PERS'],      { kemampuan_umum: 5, sistematika_kerja: 5 }],
+        ['administrasi_perkantoran', 'Administrasi Perkantoran', 'Ekonomi & Bisnis',     ['CLER'],              { sistematika_kerja: 6 }],
+        ['statistika',        'Statistika',                    'MIPA',                   ['COMP', 'ACIE'],      { penalaran_numerik: 7, kemampuan_berpikir_logis: 6 }],
+        ['matematika',        'Matematika',                    'MIPA',                   ['COMP', 'ACIE'],      { penalaran_numerik: 7, kemampuan_berpikir_abstrak: 6 }],
+        ['aktuaria',          'Aktuaria',                      'MIPA',                   ['COMP'],              { penalaran_numerik: 7, kemampuan_berpikir_logis: 6 }],
+        ['sistem_informasi',  'Sistem Informasi',              'MIPA',                   ['COMP', 'CLER'],      { kemampuan_berpikir_logis: 6, penalaran_numerik: 5 }],
+        ['biologi',           'Biologi',                       'MIPA',                   ['ACIE', 'OUT'],       { kemampuan_berpikir_logis: 6, penalaran_verbal: 5 }],
+        ['kimia',             'Kimia',                         'MIPA',                   ['ACIE'],              { kemampuan_berpikir_logis: 6, penalaran_numerik: 6 }],
+        ['fisika',            'Fisika',                        'MIPA',                   ['ACIE'],              { penalaran_numerik: 7, kemampuan_berpikir_abstrak: 6 }],
+        ['bioteknologi',      'Bioteknologi',                  'MIPA',                   ['ACIE', 'MED'],       { kemampuan_berpikir_logis: 6, penalaran_numerik: 5 }],
+        ['farmasi',           'Farmasi',                       'Kesehatan',              ['ACIE', 'MED'],       { kemampuan_berpikir_logis: 6, penalaran_numerik: 6, sistematika_kerja: 5 }],
+        ['kedokteran',        'Kedokteran',                    'Kesehatan',              ['MED', 'ACIE'],       { kemampuan_umum: 7, kemampuan_berpikir_logis: 7, daya_tahan_stress: 6 }],
+        ['kedokteran_gigi',   'Kedokteran Gigi',               'Kesehatan',              ['MED'],               { kemampuan_umum: 6, daya_tangkap_visual: 6 }],
+        ['keperawatan',       'Keperawatan',                   'Kesehatan',              ['MED', 'SOS. WERV'],  { kemampuan_umum: 5, daya_tahan_stress: 5, relasi_sosial: 5 }],
+        ['kesehatan_masyarakat', 'Kesehatan Masyarakat',       'Kesehatan',              ['MED', 'SOS. WERV'],  { kemampuan_umum: 5, relasi_sosial: 5 }],
+        ['ilmu_gizi',         'Ilmu Gizi',                     'Kesehatan',              ['MED', 'ACIE'],       { kemampuan_umum: 5, penalaran_numerik: 5 }],
+        ['psikologi',         'Psikologi',                     'Sosial & Pendidikan',    ['SOS. WERV', 'ACIE'], { penalaran_verbal: 6, relasi_sosial: 6 }],
+        ['bimbingan_konseling', 'Bimbingan dan Konseling',     'Sosial & Pendidikan',    ['SOS. WERV'],         { penalaran_verbal: 5, relasi_sosial: 6 }],
+        ['kesejahteraan_sosial', 'Kesejahteraan Sosial',       'Sosial & Pendidikan',    ['SOS. WERV'],         { penalaran_verbal: 5, kerjasama: 5 }],
+        ['sosiologi',         'Sosiologi',                     'Sosial & Pendidikan',    ['SOS. WERV', 'LITE'], { penalaran_verbal: 6 }],
+        ['pgsd',              'Pendidikan Guru Sekolah Dasar (PGSD)', 'Sosial & Pendidikan', ['SOS. WERV'],     { kemampuan_umum: 5, relasi_sosial: 5 }],
+        ['hubungan_internasional', 'Hubungan Internasional',   'Sosial & Pendidikan',    ['PERS', 'LITE'],      { penalaran_verbal: 6, kepercayaan_diri: 5 }],
+        ['administrasi_negara', 'Ilmu Administrasi Negara',    'Sosial & Pendidikan',    ['PERS', 'CLER'],      { penalaran_verbal: 5, sistematika_kerja: 5 }]
+    ];
+
+    const programStudi = {};
+
+    /**
+     * Daftarkan (atau ganti) program studi. Kategori minat dicek terhadap
+     * singkatan RMIB dan kode aspek terhadap set aspek program (default 'standar').
+     */
+    function registerProgramStudi(kode, program) {
+        const salah = `[PsikogramEngine] registerProgramStudi: program "${kode}"`;
+        if (!kode || !program || !Array.isArray(program.minat) || program.minat.length === 0) {
+            throw new Error('[PsikogramEngine] registerProgramStudi: kode dan program.minat wajib diisi');
+        }
+        const singkatanRMIB = RMIB_KATEGORI.map(([singkatan]) => singkatan.toUpperCase());
+        const minat = program.minat.map(m => String(m).toUpperCase());
+        minat.forEach(m => {
+            if (!singkatanRMIB.includes(m)) throw new Error(`${salah}: kategori minat "${m}" tidak dikenal. Tersedia: ${singkatanRMIB.join(', ')}`);
+        });
+        const kodeSet = program.setAspek || 'standar';
+        const definisi = getSetAspek(kodeSet);
+        const aspek = {};
+        Object.keys(program.aspek || {}).forEach(k => {
+            if (!definisi.some(a => a.kode === k)) throw new Error(`${salah}: aspek "${k}" tidak ada di set "${kodeSet}"`);
+            const minimum = program.aspek[k];
+            if (!(minimum >= 1 && minimum <= 10)) throw new Error(`${salah}: minimum aspek "${k}" harus 1–10`);
+            aspek[k] = minimum;
+        });
+        programStudi[kode] = {
+            nama:      program.nama || kode,
+            rumpun:    program.rumpun || '',
+            minat,
+            aspek,
+            minimumIQ: program.minimumIQ || null,
+            setAspek:  kodeSet
+        };
+        lupakanSidikKonten();
+    }
+
+    KATALOG_PROGRAM_STUDI.forEach(([kode, nama, rumpun, minat, aspek]) =>
+        registerProgramStudi(kode, { nama, rumpun, minat, aspek }));
+
+    /**
+     * Urutkan program studi terdaftar untuk hasil hitungPsikogram:
+     * [{ kode, nama, rumpun, skor (0–100), status, statusLabel,
+     *    minat: [{ singkatan, peringkat }], syarat: [{ kode, nama, skor, minimum, status }],
+     *    alasan: ['...'] }]
+     * Tanpa minat3 (RMIB kosong) → [].
+     */
+    function rekomendasiProgramStudi(hasil, jumlah = 5) {
+        const minatPeserta = hasil.minat3.map(m => m.singkatan.toUpperCase());
+        const namaMinat = s => (minatData.find(m => m.singkatan.toUpperCase() === s) || { arah_minat: s }).arah_minat;
+
+        const daftar = [];
+        Object.keys(programStudi).forEach((kode, urutanKatalog) => {
+            const program = programStudi[kode];
+            if (program.setAspek !== hasil.setAspek) return;
+            const minat = program.minat
+                .map(s => ({ singkatan: s, peringkat: minatPeserta.indexOf(s) + 1 }))
+                .filter(m => m.peringkat > 0)
+                .sort((a, b) => a.peringkat - b.peringkat);
+            if (minat.length === 0) return;
+            const skorMinat = BOBOT_PERINGKAT_MINAT[minat[0].peringkat - 1];
+
+            const syarat = Object.keys(program.aspek).map(k => {
+                const i = hasil.aspek.findIndex(a => a.kode === k);
+                const skor = hasil.resultScores[i];
+                const minimum = program.aspek[k];
+                let status;
+                if (hasil.aspekDitahan.includes(i) || !hasil.aspek[i].tersedia) status = 'tidak_dinilai';
+                else status = skor >= minimum ? 'memenuhi' : 'kurang';
+                return { kode: k, nama: hasil.aspek[i].nama, skor, minimum, status };
+            });
+            if (program.minimumIQ) {
+                syarat.push({ kode: 'IQ', nama: 'IQ', skor: hasil.IQ, minimum: program.minimumIQ,
+                    status: hasil.iqTersedia === false ? 'tidak_dinilai'
+                        : hasil.IQ >= program.minimumIQ ? 'memenuhi' : 'kurang' });
+            }
+            const dinilai = syarat.filter(s => s.status !== 'tidak_dinilai');
+            const skorKemampuan = syarat.length
+                ? dinilai.reduce((t, s) => t + Math.min(s.skor / s.minimum, 1), 0) / syarat.length
+                : 1;
+            const status = syarat.every(s => s.status === 'memenuhi') ? 'disarankan' : 'bersyarat';
+
+            const alasan = minat.map(m => `Sesuai minat ${namaMinat(m.singkatan)} (peringkat ${m.peringkat})`);
+            syarat.forEach(s => {
+                if (s.status === 'memenuhi')   alasan.push(`${s.nama} ${s.skor} ≥ ${s.minimum}`);
+                else if (s.status === 'kurang') alasan.push(`${s.nama} ${s.skor} di bawah minimum ${s.minimum}`);
+                else                            alasan.push(`${s.nama} belum dapat dinilai`);
+            });
+
+            daftar.push({
+                kode, nama: program.nama, rumpun: program.rumpun,
+                skor: Math.round((0.6 * skorMinat + 0.4 * skorKemampuan) * 100),
+                status, statusLabel: STATUS_PROGRAM_STUDI[status],
+                minat, syarat, alasan, urutanKatalog
+            });
+        });
+
+        return daftar
+            .sort((a, b) => (a.status === b.status ? 0 : a.status === 'disarankan' ? -1 : 1)
+                || (b.skor - a.skor) || (a.urutanKatalog - b.urutanKatalog))
+            .slice(0, jumlah)
+            .map(({ urutanKatalog, ...p }) => p);
+    }
+
+    // =========================================================
+    // PENJURUSAN SMA (IPA / IPS / BAHASA)
+    // Skor per jurusan (0–100) = 55% kemampuan + 35% minat + 10% IQ:
+    //   kemampuan → rerata berbobot aspek verbal/numerik/logis/abstrak (skala 1–10)
+    //   minat     → poin minat3 (peringkat 1/2/3 = 3/2/1) × bobot kategori RMIB
+    //               jurusan, dibagi poin maksimum (6)
+    //   IQ        → (IQ − IQ dasar) / 40, dibatasi 0–1; IPA ber-IQ dasar lebih tinggi
+    // Keyakinan dari selisih skor jurusan teratas dengan cadangannya;
+    // data kemampuan atau minat yang tidak lengkap → paling tinggi 'rendah'.
+    // Masukan sederhana (skor per kode aspek, IQ, daftar singkatan minat)
+    // agar baris rekap x_03 / x_06 / x_10 bisa langsung dipakai.
+    // =========================================================
+
+    const JURUSAN_SMA = {
+        IPA: {
+            label: 'IPA',
+            aspek: { penalaran_numerik: 0.35, kemampuan_berpikir_logis: 0.35, kemampuan_berpikir_abstrak: 0.3 },
+            minat: { ACIE: 1, MED: 1, MECH: 1, PRAC: 0.5, OUT: 0.5, COMP: 0.5 },
+            iqDasar: 85
+        },
+        IPS: {
+            label: 'IPS',
+            aspek: { penalaran_verbal: 0.4, penalaran_numerik: 0.3, kemampuan_berpikir_logis: 0.3 },
+            minat: { PERS: 1, CLER: 1, 'SOS. WERV': 1, COMP: 0.5, OUT: 0.5 },
+            iqDasar: 75
+        },
+        BAHASA: {
+            label: 'Bahasa',
+            aspek: { penalaran_verbal: 0.7, kemampuan_berpikir_abstrak: 0.3 },
+            minat: { LITE: 1, MUS: 1, AESTH: 1, PRAC: 0.5 },
+            iqDasar: 75
+        }
+    };
+
+    const AMBANG_KEYAKINAN_JURUSAN = { tinggi: 15, sedang: 7 };
+
+    const KEYAKINAN_JURUSAN_LABEL = { tinggi: 'Tinggi', sedang: 'Sedang', rendah: 'Rendah' };
+
+    const POIN_PERINGKAT_MINAT = [3, 2, 1];
+
+    /**
+     * Rekomendasi jurusan SMA.
+     * data: { skor: { kode_aspek: 1–10 }, IQ, minat: ['ACIE', 'MED', 'COMP'] (urut minat3) }
+     * → { jurusan, cadangan: { kode, label, skor }, keyakinan: { kode, label },
+     *     skor: { IPA, IPS, BAHASA }, lengkap, alasan: ['...'] }
+     */
+    function rekomendasiJurusanSMA(data) {
+        const skorAspek = data.skor || {};
+        const minat = (data.minat || []).slice(0, 3).map(m => String(m).toUpperCase());
+        const iq = Number(data.IQ) || 0;
+        const nilai = k => Number(skorAspek[k]) || 0;
+        const kemampuanLengkap = ['penalaran_verbal', 'penalaran_numerik', 'kemampuan_berpikir_logis', 'kemampuan_berpikir_abstrak']
+            .every(k => nilai(k) > 0);
+
+        const skor = {};
+        Object.keys(JURUSAN_SMA).forEach(kode => {
+            const j = JURUSAN_SMA[kode];
+            const kemampuan = Object.keys(j.aspek).reduce((t, k) => t + nilai(k) / 10 * j.aspek[k], 0);
+            const poinMinat = minat.reduce((t, m, i) => t + POIN_PERINGKAT_MINAT[i] * (j.minat[m] || 0), 0);
+            const faktorIQ = Math.min(Math.max((iq - j.iqDasar) / 40, 0), 1);
+            skor[kode] = Math.round((0.55 * kemampuan + 0.35 * poinMinat / 6 + 0.1 * faktorIQ) * 100);
+        });
+
+        const urutan = Object.keys(JURUSAN_SMA).sort((a, b) => skor[b] - skor[a]);
+        const [utama, cadangan] = urutan;
+        const selisih = skor[utama] - skor[cadangan];
+        const lengkap = kemampuanLengkap && minat.length > 0 && iq > 0;
+        let keyakinan;
+        if (!lengkap || selisih < AMBANG_KEYAKINAN_JURUSAN.sedang) keyakinan = 'rendah';
+        else if (selisih < AMBANG_KEYAKINAN_JURUSAN.tinggi)        keyakinan = 'sedang';
+        else                                                        keyakinan = 'tinggi';
+
+        const jUtama = JURUSAN_SMA[utama];
+        const alasan = [];
+        const namaAspek = k => (ASPEK_STANDAR.find(a => a.kode === k) || { nama: k }).nama;
+        const namaMinat = s => (minatData.find(m => m.singkatan.toUpperCase() === s) || { arah_minat: s }).arah_minat;
+        const aspekKuat = Object.keys(jUtama.aspek).filter(k => nilai(k) >= 7);
+        if (aspekKuat.length) alasan.push(`Skor tinggi pada ${aspekKuat.map(namaAspek).join(', ')}`);
+        const minatSesuai = minat.filter(m => jUtama.minat[m]);
+        if (minatSesuai.length) alasan.push(`Minat mendukung: ${minatSesuai.map(namaMinat).join(', ')}`);
+        if (iq > 0) alasan.push(`IQ ${iq}`);
+        if (!lengkap) alasan.push('Data kemampuan/minat/IQ tidak lengkap — tinjau manual');
+        alasan.push(`Selisih dengan ${JURUSAN_SMA[cadangan].label}: ${selisih} poin`);
+
+        return {
+            jurusan:   { kode: utama, label: jUtama.label, skor: skor[utama] },
+            cadangan:  { kode: cadangan, label: JURUSAN_SMA[cadangan].label, skor: skor[cadangan] },
+            keyakinan: { kode: keyakinan, label: KEYAKINAN_JURUSAN_LABEL[keyakinan] },
+            skor,
+            lengkap,
+            alasan
+        };
+    }
+
+    /**
+     * Ringkasan penempatan satu kelas dari daftar hasil rekomendasiJurusanSMA:
+     * { total, jurusan: { IPA: { label, jumlah, persen, keyakinan: { tinggi, sedang, rendah } }, ... },
+     *   perluTinjauan }  — perluTinjauan = jumlah siswa berkeyakinan rendah
+     */
+    function ringkasanJurusanSMA(daftar) {
+        const jurusan = {};
+        Object.keys(JURUSAN_SMA).forEach(kode => {
+            jurusan[kode] = { label: JURUSAN_SMA[kode].label, jumlah: 0, persen: 0, keyakinan: { tinggi: 0, sedang: 0, rendah: 0 } };
+        });
+        const valid = daftar.filter(r => r && r.jurusan);
+        valid.forEach(r => {
+            jurusan[r.jurusan.kode].jumlah++;
+            jurusan[r.jurusan.kode].keyakinan[r.keyakinan.kode]++;
+        });
+        Object.keys(jurusan).forEach(kode => {
+            jurusan[kode].persen = valid.length ? Math.round(jurusan[kode].jumlah / valid.length * 100) : 0;
+        });
+        return {
+            total: valid.length,
+            jurusan,
+            perluTinjauan: valid.filter(r => r.keyakinan.kode === 'rendah').length
+        };
+    }
+
+    // =========================================================
+    // VALIDASI DATA MENTAH SEBELUM SKORING
+    // Parser & skoring mengubah data kosong/rusak menjadi 0 tanpa
+    // pesan apa pun. Validasi ini melaporkannya per field & subtes:
+    //   error   → skor tidak bisa dipercaya (data rusak / tidak lengkap)
+    //   warning → skor tetap bisa dihitung, tapi perlu dicek operator
+    // Subtes yang sama sekali tidak diisi hanya warning, kecuali
+    // termasuk opsi.wajib — batch IQ saja memang tidak punya EPPS/RMIB.
+    // =========================================================
+
+    const JUMLAH_SOAL_EPPS = 225;
+    const JUMLAH_BLOK_RMIB = 8;
+    const JUMLAH_ITEM_RMIB = 12;
+    const SUBTES_WAJIB_DEFAULT = ['cfit'];
+
+    // Skor maksimum per subtes CFIT skala 3 (di atas ini → dicurigai salah input)
+    const CFIT_MAKS = [13, 14, 13, 10];
+
+    function isKosong(v) {
+        return v === undefined || v === null || String(v).trim() === '';
+    }
+
+    function isAngka(v) {
+        return !isKosong(v) && /^-?\d+(\.\d+)?$/.test(String(v).trim());
+    }
+
+    // Ringkas daftar nomor soal agar pesan tidak terlalu panjang
+    function ringkasNomor(list, maks = 10) {
+        const tampil = list.slice(0, maks).join(', ');
+        return list.length > maks ? `${tampil}, ... (+${list.length - maks} lagi)` : tampil;
+    }
+
+    function buatLaporanValidasi() {
+        const laporan = { valid: true, errors: [], warnings: [], subtes: {} };
+        laporan.tambah = function(level, field, subtes, kode, pesan) {
+            const item = { level, field, subtes, kode, pesan };
+            if (level === 'error') {
+                laporan.errors.push(item);
+                laporan.valid = false;
+            } else {
+                laporan.warnings.push(item);
+            }
+        };
+        return laporan;
+    }
+
+    /**
+     * Validasi hasil parse adapter (nama, nilai05, x6arr dari format pipe).
+     * Dipakai oleh hitungPsikogram dan validatePsikogram.
+     */
+    function validasiTerparse(nama, nilai05, x6arr, opsi) {
+        const laporan = buatLaporanValidasi();
+        const tambah  = laporan.tambah;
+        const wajib   = opsi.wajib || SUBTES_WAJIB_DEFAULT;
+        const isWajib = s => wajib.indexOf(s) !== -1;
+
+        // ── Identitas ──
+        const bio = nama[0] || [];
+        if (isKosong(bio[0])) tambah('warning', 'x_02', 'IDENTITAS', 'NAMA_KOSONG', 'Nama peserta kosong.');
+        if (isKosong(bio[8])) tambah('warning', 'x_02', 'IDENTITAS', 'JK_KOSONG', 'Jenis kelamin kosong.');
+        const umur = hitungUsia(bio[4], bio[9], bio[10]);
+        if (!umur && isKosong(bio[4])) {
+            tambah('warning', 'x_02', 'IDENTITAS', 'USIA_KOSONG', 'Usia kosong — konversi IQ CFIT memakai norma usia 16 tahun.');
+        } else if (!umur) {
+            tambah('warning', 'x_02', 'IDENTITAS', 'USIA_TIDAK_VALID',
+                `Usia "${bio[4]}" tidak terbaca (format: 13.11 = 13 tahun 11 bulan) — konversi IQ CFIT memakai norma usia 16 tahun.`);
+        } else if (pilihKolomCFIT(umur.totalBulan).diLuarNorma) {
+            tambah('warning', 'x_02', 'IDENTITAS', 'USIA_DI_LUAR_NORMA',
+                `Usia ${umur.teks} di bawah norma CFIT skala 3 — IQ memakai kolom 16 tahun ke atas dan perlu diperiksa.`);
+        }
+
+        // ── CFIT (subtes 1–4) ──
+        const cfit = [0, 1, 2, 3].map(i => nilai05[i]);
+        const cfitTerisi = cfit.filter(v => !isKosong(v)).length;
+        if (cfitTerisi === 0) {
+            tambah(isWajib('cfit') ? 'error' : 'warning', 'x_05', 'CFIT', 'CFIT_KOSONG',
+                'Skor CFIT tidak diisi — IQ dan aspek KEMAMPUAN (umum, visual, logis, abstrak) tidak dapat dihitung.');
+            laporan.subtes.cfit = 'kosong';
+        } else {
+            let rusak = false;
+            cfit.forEach((v, i) => {
+                const label = 'cfit' + (i + 1);
+                if (isKosong(v)) {
+                    tambah('error', 'x_05', 'CFIT', 'CFIT_SUBTES_KOSONG', `Skor ${label} kosong, subtes CFIT lain terisi.`);
+                    rusak = true;
+                } else if (!isAngka(v)) {
+                    tambah('error', 'x_05', 'CFIT', 'CFIT_BUKAN_ANGKA', `Skor ${label} "${v}" bukan angka.`);
+                    rusak = true;
+                } else if (parseFloat(v) < 0) {
+                    tambah('error', 'x_05', 'CFIT', 'CFIT_NEGATIF', `Skor ${label} bernilai negatif (${v}).`);
+                    rusak = true;
+                } else if (parseFloat(v) > CFIT_MAKS[i]) {
+                    tambah('warning', 'x_05', 'CFIT', 'CFIT_DI_ATAS_MAKS', `Skor ${label} = ${v} melebihi jumlah soal (${CFIT_MAKS[i]}).`);
+                }
+            });
+            laporan.subtes.cfit = rusak ? 'tidak_valid' : 'lengkap';
+        }
+
+        // ── IST (subtes 1–9) — hanya dilaporkan jika diisi, wajib, atau diminta ──
+        // IST diminta sebagai sumber KEMAMPUAN: tidak terskor = error, bukan diam-diam kembali ke CFIT
+        const ist = IST_SUBTES.map((_, i) => nilai05[IST_INDEX_AWAL + i]);
+        const istTerisi = ist.filter(v => !isKosong(v)).length;
+        const mintaIST = opsi.sumberKemampuan === 'ist'
+            || (opsi.sumberKemampuan === 'otomatis' && laporan.subtes.cfit === 'kosong');
+        if (istTerisi === 0) {
+            if (isWajib('ist') || mintaIST) {
+                tambah('error', 'x_05', 'IST', 'IST_KOSONG', mintaIST
+                    ? 'Skor IST tidak diisi padahal IST diminta sebagai sumber KEMAMPUAN — aspek KEMAMPUAN tidak dapat dihitung.'
+                    : 'Skor IST tidak diisi.');
+            }
+            laporan.subtes.ist = 'kosong';
+        } else {
+            let rusak = false;
+            ist.forEach((v, i) => {
+                const [, singkatan, , , maks] = IST_SUBTES[i];
+                if (isKosong(v)) {
+                    tambah('error', 'x_05', 'IST', 'IST_SUBTES_KOSONG', `Skor IST ${singkatan} kosong, subtes IST lain terisi.`);
+                    rusak = true;
+                } else if (!isAngka(v) || parseFloat(v) < 0) {
+                    tambah('error', 'x_05', 'IST', 'IST_TIDAK_VALID', `Skor IST ${singkatan} "${v}" bukan angka yang valid.`);
+                    rusak = true;
+                } else if (parseFloat(v) > maks) {
+                    tambah('warning', 'x_05', 'IST', 'IST_DI_ATAS_MAKS', `Skor IST ${singkatan} = ${v} melebihi skor maksimum (${maks}).`);
+                }
+            });
+            if (!pilihNormaUsia(normaIST, umur, opsi.normaIST)) {
+                tambah(mintaIST ? 'error' : 'warning', 'x_05', 'IST', 'IST_NORMA_BELUM_ADA', mintaIST
+                    ? 'Norma IST untuk usia peserta belum didaftarkan (registerNormaIST) — IST diminta sebagai sumber KEMAMPUAN tetapi tidak dapat diskor.'
+                    : 'Norma IST untuk usia peserta belum didaftarkan — hanya skor mentah (RW) yang tersedia, KEMAMPUAN dihitung dari CFIT.');
+            }
+            laporan.subtes.ist = rusak ? 'tidak_valid' : 'lengkap';
+        }
+
+        // ── APM (Set I & II) — hanya dilaporkan jika diisi atau diminta ──
+        const apmSkor = APM_SET.map(([, , idx]) => nilai05[idx]);
+        const mintaAPM = opsi.sumberKemampuanUmum === 'apm';
+        if (apmSkor.every(isKosong)) {
+            if (isWajib('apm') || mintaAPM) {
+                tambah('error', 'x_05', 'APM', 'APM_KOSONG', mintaAPM
+                    ? 'Skor APM tidak diisi padahal APM diminta sebagai sumber Kemampuan Umum — IQ tidak dapat dihitung.'
+                    : 'Skor APM tidak diisi.');
+            }
+            laporan.subtes.apm = 'kosong';
+        } else {
+            let rusak = false;
+            APM_SET.forEach(([, label, , maks], i) => {
+                const v = apmSkor[i];
+                if (isKosong(v)) {
+                    // Set I hanya latihan — boleh kosong
+                    if (i === 1) {
+                        tambah('error', 'x_05', 'APM', 'APM_SET2_KOSONG', 'Skor APM Set II kosong — persentil tidak dapat dihitung.');
+                        rusak = true;
+                    }
+                } else if (!isAngka(v) || parseFloat(v) < 0) {
+                    tambah('error', 'x_05', 'APM', 'APM_TIDAK_VALID', `Skor APM ${label} "${v}" bukan angka yang valid.`);
+                    rusak = true;
+                } else if (parseFloat(v) > maks) {
+                    tambah('warning', 'x_05', 'APM', 'APM_DI_ATAS_MAKS', `Skor APM ${label} = ${v} melebihi jumlah soal (${maks}).`);
+                }
+            });
+            if (!pilihNormaUsia(normaAPM, umur, opsi.normaAPM)) {
+                tambah(mintaAPM ? 'error' : 'warning', 'x_05', 'APM', 'APM_NORMA_BELUM_ADA', mintaAPM
+                    ? 'Norma APM untuk usia peserta belum didaftarkan (registerNormaAPM) — APM diminta sebagai sumber Kemampuan Umum tetapi tidak dapat diskor.'
+                    : 'Norma APM untuk usia peserta belum didaftarkan — persentil & IQ APM tidak tersedia.');
+            }
+            laporan.subtes.apm = rusak ? 'tidak_valid' : 'lengkap';
+        }
+
+        // ── TKD verbal & numerik ──
+        [['tkd3', 15, 'Penalaran Verbal'], ['tkd6', 17, 'Penalaran Numerik']].forEach(([label, idx, aspek]) => {
+            const v = nilai05[idx];
+            if (isKosong(v)) {
+                tambah(isWajib('tkd') ? 'error' : 'warning', 'x_05', 'TKD', 'TKD_KOSONG',
+                    `Skor ${label} tidak diisi — aspek ${aspek} tidak dapat dihitung.`);
+                laporan.subtes[label] = 'kosong';
+            } else if (!isAngka(v) || parseFloat(v) < 0) {
+                tambah('error', 'x_05', 'TKD', 'TKD_TIDAK_VALID', `Skor ${label} "${v}" bukan angka yang valid.`);
+                laporan.subtes[label] = 'tidak_valid';
+            } else {
+                laporan.subtes[label] = 'lengkap';
+            }
+        });
+
+        // ── EPPS ──
+        const eppsStr = (x6arr[0] || '').trim();
+        if (!eppsStr) {
+            tambah(isWajib('epps') ? 'error' : 'warning', 'x_06', 'EPPS', 'EPPS_KOSONG',
+                'Jawaban EPPS tidak diisi — aspek KEPRIBADIAN dan SIKAP KERJA tidak dapat dihitung.');
+            laporan.subtes.epps = 'kosong';
+        } else {
+            const jawaban = eppsStr.split(';').map(v => v.trim());
+            // Separator di akhir string tidak dihitung sebagai jawaban
+            while (jawaban.length > JUMLAH_SOAL_EPPS && jawaban[jawaban.length - 1] === '') jawaban.pop();
+            let rusak = false;
+            if (jawaban.length !== JUMLAH_SOAL_EPPS) {
+                tambah('error', 'x_06', 'EPPS', 'EPPS_JUMLAH',
+                    `Jawaban EPPS berisi ${jawaban.length} butir, seharusnya ${JUMLAH_SOAL_EPPS}.`);
+                rusak = true;
+            }
+            const kosong = [], salah = [];
+            jawaban.slice(0, JUMLAH_SOAL_EPPS).forEach((v, i) => {
+                if (v === '') kosong.push(i + 1);
+                else if (v !== 'A' && v !== 'B') salah.push(`${i + 1} ("${v}")`);
+            });
+            if (kosong.length) {
+                tambah('error', 'x_06', 'EPPS', 'EPPS_JAWABAN_KOSONG',
+                    `${kosong.length} soal EPPS belum dijawab: nomor ${ringkasNomor(kosong)}.`);
+                rusak = true;
+            }
+            if (salah.length) {
+                tambah('error', 'x_06', 'EPPS', 'EPPS_JAWABAN_TIDAK_VALID',
+                    `${salah.length} jawaban EPPS bukan A/B: nomor ${ringkasNomor(salah)}.`);
+                rusak = true;
+            }
+            laporan.subtes.epps = rusak ? 'tidak_valid' : 'lengkap';
+        }
+
+        // ── RMIB (8 blok × 12 peringkat) ──
+        const blok = [];
+        for (let k = 0; k < JUMLAH_BLOK_RMIB; k++) blok.push((x6arr[k + 2] || '').trim());
+        const blokTerisi = blok.filter(Boolean).length;
+        if (blokTerisi === 0) {
+            tambah(isWajib('rmib') ? 'error' : 'warning', 'x_06', 'RMIB', 'RMIB_KOSONG',
+                'Peringkat RMIB tidak diisi — arah minat tidak dapat ditentukan.');
+            laporan.subtes.rmib = 'kosong';
+        } else {
+            let rusak = false;
+            blok.forEach((str, k) => {
+                const label = `blok RMIB ${k + 1}`;
+                if (!str) {
+                    tambah('error', 'x_06', 'RMIB', 'RMIB_BLOK_KOSONG', `Peringkat ${label} kosong.`);
+                    rusak = true;
+                    return;
+                }
+                const nilai = str.split(';').map(v => v.trim());
+                while (nilai.length > JUMLAH_ITEM_RMIB && nilai[nilai.length - 1] === '') nilai.pop();
+                if (nilai.length !== JUMLAH_ITEM_RMIB) {
+                    tambah('error', 'x_06', 'RMIB', 'RMIB_JUMLAH_PERINGKAT',
+                        `${label} berisi ${nilai.length} peringkat, seharusnya ${JUMLAH_ITEM_RMIB}.`);
+                    rusak = true;
+                }
+                const bukanAngka = [];
+                nilai.forEach((v, i) => { if (!/^\d+$/.test(v)) bukanAngka.push(`${i + 1} ("${v}")`); });
+                if (bukanAngka.length) {
+                    tambah('error', 'x_06', 'RMIB', 'RMIB_BUKAN_ANGKA',
+                        `${label}: peringkat bukan bilangan bulat pada item ${ringkasNomor(bukanAngka)}.`);
+                    rusak = true;
+                }
+
+                // Satu blok harus berupa peringkat 1–12, masing-masing tepat sekali
+                const angka = nilai.filter(v => /^\d+$/.test(v)).map(Number);
+                const diLuar = angka.filter(r => r < 1 || r > JUMLAH_ITEM_RMIB);
+                if (diLuar.length) {
+                    tambah('error', 'x_06', 'RMIB', 'RMIB_DI_LUAR_RENTANG',
+                        `${label}: peringkat di luar 1–${JUMLAH_ITEM_RMIB}: ${ringkasNomor(diLuar)}.`);
+                    rusak = true;
+                }
+                const dobel = [...new Set(angka.filter((r, i) => angka.indexOf(r) !== i))];
+                if (dobel.length) {
+                    tambah('error', 'x_06', 'RMIB', 'RMIB_PERINGKAT_GANDA',
+                        `${label}: peringkat dipakai lebih dari sekali: ${ringkasNomor(dobel)}.`);
+                    rusak = true;
+                }
+                const hilang = [];
+                for (let r = 1; r <= JUMLAH_ITEM_RMIB; r++) if (angka.indexOf(r) === -1) hilang.push(r);
+                if (hilang.length && angka.length) {
+                    tambah('error', 'x_06', 'RMIB', 'RMIB_PERINGKAT_HILANG',
+                        `${label}: peringkat tidak dipakai: ${ringkasNomor(hilang)}.`);
+                    rusak = true;
+                }
+            });
+            laporan.subtes.rmib = rusak ? 'tidak_valid' : 'lengkap';
+
+            const form = pilihFormRMIB(x6arr[10], nama[0] ? nama[0][8] : '', opsi.formRMIB);
+            if (form.tidakDikenal) {
+                tambah('error', 'x_06', 'RMIB', 'RMIB_FORM_TIDAK_DIKENAL',
+                    `rmib_form "${form.tidakDikenal}" belum terdaftar (registerFormRMIB) — kunci form yang diminta tidak tersedia. Tersedia: ${Object.keys(formRMIB).join(', ')}.`);
+            }
+
+            if (!rusak) {
+                const soalRmib = blok.join(';').split(';').map(v => v.trim());
+                const kunci = formRMIB[form.kode].kunci;
+                const { seri } = urutkanMinat(skorRMIB(soalRmib, kunci), rincianRMIB(soalRmib, kunci), opsi.seriMinat);
+                if (seri.perluReview) tambah('warning', 'x_06', 'RMIB', 'RMIB_SERI_TOP3', seri.keterangan);
+            }
+        }
+
+        const adaIsi = ['cfit', 'ist', 'apm', 'tkd3', 'tkd6', 'epps', 'rmib'].some(s => laporan.subtes[s] !== 'kosong');
+        if (!adaIsi) {
+            tambah('error', 'x_05', 'SEMUA', 'DATA_KOSONG', 'Tidak ada satu pun subtes yang terisi.');
+        }
+
+        delete laporan.tambah;
+        return laporan;
+    }
+
+    /**
+     * Validasi satu baris data mentah tanpa menghitung skor.
+     * opsi (opsional):
+     *   adapter : nama adapter input — jika kosong, dideteksi otomatis
+     *   wajib   : subtes yang harus ada, dari 'cfit','tkd','epps','rmib' (default: ['cfit'])
+     *   seriMinat : 'aturan' (default) | 'psikolog' — lihat urutkanMinat
+     * Mengembalikan { valid, errors[], warnings[], subtes{}, adapter };
+     * setiap item berisi { level, field, subtes, kode, pesan }.
+     */
+    function validatePsikogram(data, opsi) {
+        opsi = opsi || {};
+        data = data || {};
+        const namaAdapter = opsi.adapter || deteksiAdapter(data);
+        const adapter     = getAdapter(namaAdapter);
 
-        function getWS(ss, type) {
-            const m = wsMap[type];
-            if (!m) return 0;
-            const keys = Object.keys(m).map(Number).sort((a,b) => b - a);
-            for (const k of keys) {
-                if (ss >= k) return m[k];
-            }
-            return 0;
+        const parsed = {};
+        const gagal  = buatLaporanValidasi();
+        [['x_02', 'parseX02'], ['x_05', 'parseX05'], ['x_06', 'parseX06']].forEach(([field, fn]) => {
+            parsed[field] = bacaKolom(adapter, namaAdapter, data, field, fn, (f, pesan) =>
+                gagal.tambah('error', f, 'FORMAT', 'FORMAT_TIDAK_VALID', pesan));
+        });
+        if (!gagal.valid) {
+            delete gagal.tambah;
+            gagal.adapter = namaAdapter;
+            return gagal;
         }
 
-        return {
-            ws_ach: getWS(ach_s, 'ACH_s'),
-            ws_def: getWS(def_s, 'DEF_s'),
-            ws_ord: getWS(ord_s, 'ORD_s'),
-            ws_exh: getWS(exh_s, 'EXH_s'),
-            ws_out: getWS(out_s, 'OUT_s'),
-            ws_aff: getWS(aff_s, 'AFF_s'),
-            ws_int: getWS(int_s, 'INT_s'),
-            ws_suc: getWS(suc_s, 'SUC_s'),
-            ws_dom: getWS(dom_s, 'DOM_s'),
-            ws_aba: getWS(aba_s, 'ABA_s'),
-            ws_nur: getWS(nur_s, 'NUR_s'),
-            ws_chg: getWS(chg_s, 'CHG_s'),
-            ws_end: getWS(end_s, 'END_s'),
-            ws_het: getWS(het_s, 'HET_s'),
-            ws_agg: getWS(agg_s, 'AGG_s'),
-            konsistensi
-        };
+        const laporan = validasiTerparse(parsed.x_02, parsed.x_05, parsed.x_06, opsi);
+        laporan.adapter = namaAdapter;
+        return laporan;
     }
 
     // =========================================================
-    // SKORING RMIB
+    // PROVENANS OVERRIDE x_10
+    // Setiap nilai yang bisa diganti psikolog lewat x_10 (IQ, skor aspek,
+    // kelebihan / kelemahan / rekomendasi, nama & keterangan minat)
+    // dilaporkan sebagai { hitung, akhir, sumber: 'engine' | 'override' }.
     // =========================================================
 
-    function skorRMIB(soalRmib) {
-        const v = i => parseInt(soalRmib[i - 1]) || 0;
-        return {
-            out:     v(1)+v(24)+v(35)+v(46)+v(57)+v(68)+v(79)+v(90),
-            mech:    v(2)+v(13)+v(36)+v(47)+v(58)+v(69)+v(80)+v(91),
-            comp:    v(3)+v(14)+v(25)+v(48)+v(59)+v(70)+v(81)+v(92),
-            acie:    v(4)+v(15)+v(26)+v(37)+v(60)+v(71)+v(82)+v(93),
-            pers:    v(5)+v(16)+v(27)+v(38)+v(49)+v(72)+v(83)+v(94),
-            aesth:   v(6)+v(17)+v(28)+v(39)+v(50)+v(61)+v(84)+v(95),
-            lite:    v(7)+v(18)+v(29)+v(40)+v(51)+v(62)+v(73)+v(96),
-            mus:     v(8)+v(19)+v(30)+v(41)+v(52)+v(63)+v(74)+v(85),
-            sos_wer: v(9)+v(20)+v(31)+v(42)+v(53)+v(64)+v(75)+v(86),
-            cler:    v(10)+v(21)+v(32)+v(43)+v(54)+v(65)+v(76)+v(87),
-            prac:    v(11)+v(22)+v(33)+v(44)+v(55)+v(66)+v(77)+v(88),
-            med:     v(12)+v(23)+v(34)+v(45)+v(56)+v(67)+v(78)+v(89)
-        };
+    function asalNilai(hitung, override) {
+        return override === null || override === undefined
+            ? { hitung, akhir: hitung, sumber: 'engine' }
+            : { hitung, akhir: override, sumber: 'override' };
     }
 
-    // =========================================================
-    // KONVERSI SKOR KE SKALA 1–10
-    // =========================================================
-
-    function getScore(value, type) {
-        const criteria = {
-            iq:   [[60,1],[69,2],[79,3],[89,4],[99,5],[109,6],[119,7],[129,8],[139,9],[Infinity,10]],
-            cfit: [[2,1],[3,2],[4,3],[5,4],[7,5],[8,6],[9,7],[10,8],[11,9],[Infinity,10]],
-            tkd3: [[12,1],[16,2],[20,3],[23,4],[27,5],[31,6],[35,7],[38,8],[40,9],[Infinity,10]],
-            tkd6: [[2,1],[5,2],[9,3],[12,4],[16,5],[19,6],[23,7],[26,8],[30,9],[Infinity,10]],
-            ach:  [[2,1],[4,2],[6,3],[8,4],[10,5],[12,6],[14,7],[16,8],[18,9],[Infinity,10]]
+    // Daftar datar nilai yang di-override — untuk editor laporan & kolom rekap
+    function daftarDiubah(provenans) {
+        const diubah = [];
+        const catat = (field, label, asal) => {
+            if (asal.sumber === 'override') diubah.push({ field, label, hitung: asal.hitung, akhir: asal.akhir });
         };
-        const crit = criteria[type] || criteria.ach;
-        for (const [limit, score] of crit) {
-            if (value <= limit) return score;
-        }
-        return 10;
+        catat('IQ', 'IQ', provenans.IQ);
+        provenans.skor.forEach(a => catat(`skor.${a.kode}`, a.nama, a));
+        [['kelebihan', 'Kelebihan'], ['kelemahan', 'Kelemahan'], ['rekomendasi', 'Rekomendasi']].forEach(([kunci, label]) => {
+            provenans[kunci].forEach((asal, i) => catat(`${kunci}.${i + 1}`, `${label} ${i + 1}`, asal));
+        });
+        provenans.minat.forEach((m, i) => {
+            catat(`minat.${i + 1}.nama`, `Minat ${i + 1} (nama)`, m.nama);
+            catat(`minat.${i + 1}.keterangan`, `Minat ${i + 1} (keterangan)`, m.keterangan);
+        });
+        return diubah;
     }
 
     // =========================================================
     // FUNGSI UTAMA: hitung semua skor dari raw data API
     // =========================================================
 
-    function hitungPsikogram(data, id_x) {
+    /**
+     * opsi (opsional):
+     *   adapter : nama adapter input ('pipe', 'json-nilai1', 'json-keymap', ...)
+     *             — jika kosong, dideteksi otomatis dari isi data
+     *   wajib   : subtes wajib untuk laporan validasi (lihat validatePsikogram)
+     *   seriMinat : cara memecah seri RMIB di batas 3 besar — 'aturan' | 'psikolog'
+     *   ambangKonsistensi : { valid, diragukan } — ambang validitas EPPS
+     *   sumberKemampuan : 'cfit' (default) | 'ist' | 'otomatis' (IST jika CFIT kosong)
+     *   normaIST     : kode norma IST eksplisit, melewati pemilihan per usia
+     *   sumberKemampuanUmum : 'apm' = IQ & Kemampuan Umum dari APM; kosong = ikut sumberKemampuan
+     *   normaAPM     : kode norma APM eksplisit, melewati pemilihan per usia
+     *   populasiEPPS : populasi norma EPPS (mis. 'mahasiswa') — dipakai bersama jk
+     *   normaEPPS    : kode norma EPPS eksplisit, melewati pemilihan otomatis
+     *   setAspek     : kode set aspek (default 'standar') — lihat registerSetAspek
+     *   normaSkala   : kode set norma skala 1–10 (default 'bawaan') — lihat registerNormaSkala
+     *   profilJabatan : kode profil jabatan — hasil.kecocokanJabatan diisi (lihat hitungKecocokan)
+     *   jumlahProgramStudi : banyaknya program studi di hasil.rekomendasiProgramStudi (default 5)
+     *   formRMIB     : kode form RMIB eksplisit, melewati rmib_form & jk (lihat registerFormRMIB)
+     *   kelemahanRataRata : 'lunakkan' (default) | 'sembunyikan' — bila semua skor
+     *             ≥ rata-rata, kelemahan tetap berisi kalimat yang dilunakkan; 'sembunyikan'
+     *             mengisi hasil.kelemahanDisembunyikan agar halaman tidak menampilkannya
+     *   bahasa       : 'id' (default) | 'en' | 'id-en' — bahasa teks laporan (lihat lokalisasiHasil);
+     *             dwibahasa mengisi hasil.terjemahan dengan konten bahasa kedua
+     *   jejak        : true = isi hasil.jejak — masukan mentah, baris WS, batas norma skala &
+     *             override per aspek untuk panel "mengapa skor ini?" (lihat JEJAK SKOR)
+     *   eppsTidakValid    : 'tandai' (default) | 'tahan' — jika 'tahan' dan EPPS
+     *             tidak valid, aspek EPPS tidak dipakai untuk kelebihan/kelemahan
+     *             dan dicantumkan di aspekDitahan agar halaman menyembunyikannya
+     */
+    function hitungPsikogram(data, id_x, opsi) {
+        opsi = opsi || {};
         // Buat seeded random berdasarkan id kandidat
         // Setiap kandidat mendapat versi kalimat yang konsisten (tidak berubah saat refresh)
         const rand = makeSeededRand(seedFromId(id_x));
 
-        const x02 = data['x_02'] || '';
-        const x05 = data['x_05'] || '';
-        const x06 = data['x_06'] || '';
-        const x10 = data['x_10'] || '';
+        const namaAdapter = opsi.adapter || deteksiAdapter(data);
+        const adapter     = getAdapter(namaAdapter);
+
+        // Kolom yang tidak bisa dibaca dianggap kosong dan dicatat di kolomTidakTerbaca
+        const kolomTidakTerbaca = [];
+        const catat   = (field, pesan) => kolomTidakTerbaca.push({ field, pesan });
+        const nama    = bacaKolom(adapter, namaAdapter, data, 'x_02', 'parseX02', catat);
+        const nilai05 = bacaKolom(adapter, namaAdapter, data, 'x_05', 'parseX05', catat);
+        const x6arr   = bacaKolom(adapter, namaAdapter, data, 'x_06', 'parseX06', catat);
+        const hasil10 = parseX10(data['x_10'] || '');
 
-        const nama    = parseX02(x02);
-        const nilai05 = parseX05(x05);
-        const x6arr   = parseX06(x06);
-        const hasil10 = parseX10(x10);
+        const validasi = validasiTerparse(nama, nilai05, x6arr, opsi);
+        validasi.adapter = namaAdapter;
+        // Kolom yang tidak terbaca → error FORMAT_TIDAK_VALID di awal laporan
+        if (kolomTidakTerbaca.length) {
+            validasi.errors.unshift(...kolomTidakTerbaca.map(k => ({
+                level: 'error', field: k.field, subtes: 'FORMAT', kode: 'FORMAT_TIDAK_VALID', pesan: k.pesan })));
+            validasi.valid = false;
+        }
 
-        const usia = parseFloat(nama[0] ? nama[0][4] : 16) || 16;
+        // Usia tes: dari tanggal lahir + tanggal tes jika ada, selain itu dari kolom usia
+        const bio  = nama[0] || [];
+        const umur = hitungUsia(bio[4], bio[9], bio[10] || (hasil10[0] ? hasil10[0][1] : ''));
 
         // CFIT
         const CFIT1 = parseInt(nilai05[0]) || 0;
@@ -270,11 +2320,26 @@
         const CFIT3 = parseInt(nilai05[2]) || 0;
         const CFIT4 = parseInt(nilai05[3]) || 0;
         const skorCFIT = CFIT1 + CFIT2 + CFIT3 + CFIT4;
-        const iqCalc = getIQ_cfit(skorCFIT, usia);
+        const konversiCFIT = getIQ_cfit(skorCFIT, umur);
+
+        // IST — sumber KEMAMPUAN pengganti CFIT untuk batch yang dites dengan IST.
+        // Hanya dipakai jika skornya ada dan norma usia peserta sudah didaftarkan.
+        const ist = skorIST(nilai05, umur, opsi.normaIST);
+        const mintaIST = opsi.sumberKemampuan === 'ist'
+            || (opsi.sumberKemampuan === 'otomatis' && validasi.subtes.cfit === 'kosong');
+        const pakaiIST = mintaIST && ist !== null && ist.IQ !== null;
+        const sumberKemampuan = pakaiIST ? 'ist' : 'cfit';
+        const iqCalc = pakaiIST ? ist.IQ : konversiCFIT.IQ;
+
+        // APM — sumber alternatif khusus Kemampuan Umum (aspek 0) & IQ
+        const apm = skorAPM(nilai05, umur, opsi.normaAPM);
+        const pakaiAPM = opsi.sumberKemampuanUmum === 'apm' && apm !== null && apm.IQ !== null;
 
         // Gunakan override dari hasil10[0][3] jika ada
-        const IQ = (hasil10[0] && hasil10[0][3] && parseInt(hasil10[0][3]) !== 0)
-            ? parseInt(hasil10[0][3]) : iqCalc;
+        const iqManual = hasil10[0] && hasil10[0][3] && parseInt(hasil10[0][3]) !== 0;
+        const iqHitung = pakaiAPM ? apm.IQ : iqCalc;
+        const IQ = iqManual ? parseInt(hasil10[0][3]) : iqHitung;
+        const sumberKemampuanUmum = iqManual ? 'manual' : pakaiAPM ? 'apm' : sumberKemampuan;
 
         const tkd3 = parseFloat(nilai05[15]) || 0;
         const tkd6 = parseFloat(nilai05[17]) || 0;
@@ -282,64 +2347,73 @@
         // EPPS
         const soalEppsStr = x6arr[0] || '';
         const soalEpps = soalEppsStr.split(';').map(v => v.trim());
-        const epps = skorEPPS(soalEpps);
-
-        const ACH = epps.ws_ach;
-        const DOM = epps.ws_dom;
-        const AUT = epps.ws_out;
-        const EXH = epps.ws_exh;
-        const AFF = epps.ws_aff;
-        const DEF = epps.ws_def;
-        const ORD = epps.ws_ord;
+        const kodeNorma = pilihNormaEPPS(nama[0] ? nama[0][8] : '', opsi.populasiEPPS, opsi.normaEPPS);
+        const epps = skorEPPS(soalEpps, normaEPPS[kodeNorma].tabel);
 
         // RMIB
         const rmibStr = [x6arr[2],x6arr[3],x6arr[4],x6arr[5],x6arr[6],x6arr[7],x6arr[8],x6arr[9]]
             .filter(Boolean).join('; ');
         const soalRmib = rmibStr.split(';').map(v => v.trim());
-        const rmib = skorRMIB(soalRmib);
-
-        // Skor skala 1–10 (14 aspek psikologis)
-        let resultScores = [
-            getScore(IQ, 'iq'),                        // 0: Kemampuan Umum
-            getScore(CFIT2, 'cfit'),                   // 1: Daya Tangkap Visual
-            getScore((CFIT1 + CFIT4) / 2, 'cfit'),    // 2: Berpikir Logis
-            getScore(CFIT3, 'cfit'),                   // 3: Berpikir Abstrak
-            getScore(tkd3, 'tkd3'),                    // 4: Penalaran Verbal
-            getScore(tkd6, 'tkd6'),                    // 5: Penalaran Numerik
-            getScore(ACH, 'ach'),                      // 6: Hasrat Berprestasi
-            getScore((DOM + ACH + AUT) / 3, 'ach'),   // 7: Daya Tahan Stress
-            getScore(EXH, 'ach'),                      // 8: Kepercayaan Diri
-            getScore(AFF, 'ach'),                      // 9: Relasi Sosial
-            getScore(DEF, 'ach'),                      // 10: Kerjasama
-            getScore(ORD, 'ach'),                      // 11: Sistematika Kerja
-            getScore((DOM + ACH + AUT) / 3, 'ach'),   // 12: Inisiatif
-            getScore(AUT, 'ach')                       // 13: Kemandirian
-        ];
+        const form = pilihFormRMIB(x6arr[10], nama[0] ? nama[0][8] : '', opsi.formRMIB);
+        const rmib = skorRMIB(soalRmib, formRMIB[form.kode].kunci);
+        const rmibRincian = rincianRMIB(soalRmib, formRMIB[form.kode].kunci);
+
+        // Variabel sumber aspek (lihat DEFINISI ASPEK PSIKOGRAM)
+        const variabel = { IQ, CFIT1, CFIT2, CFIT3, CFIT4, TKD3: tkd3, TKD6: tkd6 };
+        EPPS_KEBUTUHAN.forEach(([kode]) => {
+            variabel[kode.toUpperCase()] = epps[kode === 'aut' ? 'ws_out' : 'ws_' + kode];
+        });
+        if (pakaiIST) ist.subtes.forEach(t => { variabel['IST_' + t.singkatan] = swKeIQ(t.sw); });
+
+        const tersedia = v => v === 'IQ'
+            ? iqManual || validasi.subtes[sumberKemampuanUmum] !== 'kosong'
+            : validasi.subtes[SUBTES_VARIABEL[v]] !== 'kosong';
+
+        // Skor skala 1–10 per aspek. KEMAMPUAN dari IST memakai alternatif.ist;
+        // alternatif cadangan (mis. penalaran verbal) hanya bila sumber utamanya kosong.
+        const kodeSetAspek = opsi.setAspek || 'standar';
+        const definisiAspek = getSetAspek(kodeSetAspek);
+        const kodeNormaSkala = opsi.normaSkala || 'bawaan';
+        const setNormaSkala  = getNormaSkala(kodeNormaSkala);
+        const aspek = definisiAspek.map(def => {
+            const utamaTersedia = Object.keys(def.sumber).every(tersedia);
+            const alt = pakaiIST && def.alternatif && def.alternatif.ist;
+            const pakaiAlt = !!alt && (!alt.cadangan || !utamaTersedia);
+            const { sumber, norma } = pakaiAlt ? alt : def;
+            // Tabel khusus aspek hanya berlaku untuk sumber utamanya (skala alternatif berbeda)
+            const { kriteria, ...tabel } = pilihTabelSkala(kodeNormaSkala, pakaiAlt ? null : def.kode, norma);
+            return {
+                kode: def.kode,
+                nama: def.nama,
+                grup: def.grup,
+                skor: skorAspek(sumber, kriteria, variabel),
+                sumber: Object.keys(sumber),
+                tersedia: pakaiAlt || utamaTersedia,
+                norma: tabel,
+                // Bobot sumber & kriteria skala yang benar-benar dipakai (untuk jejak skor)
+                rumus: { bobot: sumber, kriteria }
+            };
+        });
+        let resultScores = aspek.map(a => a.skor);
 
         // Override dengan hasil10[1] jika ada nilai tidak kosong/0
-        for (let i = 0; i <= 13; i++) {
-            if (hasil10[1] && hasil10[1][i] && parseInt(hasil10[1][i]) !== 0) {
-                resultScores[i] = parseInt(hasil10[1][i]);
-            }
-        }
+        const skorOverride = resultScores.map((_, i) =>
+            hasil10[1] && hasil10[1][i] && parseInt(hasil10[1][i]) !== 0 ? parseInt(hasil10[1][i]) : null);
+        skorOverride.forEach((v, i) => { if (v !== null) resultScores[i] = v; });
 
-        // Minat RMIB: urutkan dari terkecil (3 arah minat utama)
-        const totalsRmib = {
-            'OUT': rmib.out, 'MECH': rmib.mech, 'COMP': rmib.comp,
-            'ACIE': rmib.acie, 'PERS': rmib.pers, 'AESTH': rmib.aesth,
-            'LITE': rmib.lite, 'MUS': rmib.mus, 'SOS. WERV': rmib.sos_wer,
-            'CLER': rmib.cler, 'PRAC': rmib.prac, 'MED': rmib.med
-        };
-        const sortedMinat = Object.entries(totalsRmib).sort((a, b) => a[1] - b[1]);
-        const minat3 = sortedMinat.slice(0, 3).map(([key], j) => ({
-            singkatan: key,
+        // Minat RMIB: urutkan dari terkecil (3 arah minat utama), seri dipecah
+        // dengan aturan terdokumentasi di urutkanMinat()
+        const { urutan: sortedMinat, seri: seriMinat } = urutkanMinat(rmib, rmibRincian, opsi.seriMinat);
+        const minat3 = sortedMinat.slice(0, 3).map(({ singkatan }, j) => ({
+            singkatan,
             namaOverride: hasil10[5] && hasil10[5][j] && hasil10[5][j].trim() !== '' ? hasil10[5][j].trim() : null,
             ketOverride:  hasil10[6] && hasil10[6][j] && hasil10[6][j].trim() !== '' ? hasil10[6][j].trim() : null
         }));
+        const ranking = validasi.subtes.rmib === 'kosong' ? null : rankingMinat(sortedMinat);
 
-        // Mapping index aspek ke grup
-        // 0-5 = KEMAMPUAN, 6-10 = KEPRIBADIAN, 11-13 = SIKAP KERJA
-        const grupAspek = [0,0,0,0,0,0, 1,1,1,1,1, 2,2,2];
+        // Mapping index aspek ke grup (urutan kemunculan grup di definisi)
+        const daftarGrup = [...new Set(definisiAspek.map(a => a.grup))];
+        const grupAspek  = definisiAspek.map(a => daftarGrup.indexOf(a.grup));
 
         // Kelebihan / Kelemahan / Rekomendasi berdasarkan skor tertinggi & terendah
         const indexed = resultScores.map((v, i) => ({ value: v, index: i }));
@@ -381,18 +2455,53 @@
             return hasil;
         }
 
-        const top3    = pilih3Distribusi(sorted_desc); // untuk kelebihan
-        const bottom3 = pilih3Distribusi(sorted_asc);  // untuk kelemahan & rekomendasi
+        // Validitas EPPS — hanya dinilai jika EPPS memang diisi
+        const validitas = validasi.subtes.epps === 'kosong' ? null
+            : validitasEPPS(epps.konsistensi, opsi.ambangKonsistensi,
+                aspek.map((a, i) => a.sumber.some(v => SUBTES_VARIABEL[v] === 'epps') ? i : -1).filter(i => i >= 0));
+        const aspekDitahan = validitas && validitas.status === 'tidak_valid' && opsi.eppsTidakValid === 'tahan'
+            ? validitas.aspekTerdampak : [];
+        const bolehDipilih = item => !aspekDitahan.includes(item.index);
 
-        // Override manual dari hasil10 jika ada, fallback ke teks engine
-        const getKelebihan = i => hasil10[2] && hasil10[2][i] && hasil10[2][i].trim() !== ''
-            ? hasil10[2][i].trim() : pilihVersi(kekuatanKelemahan[top3[i].index].teks2, rand);
-        const getKelemahan = i => hasil10[3] && hasil10[3][i] && hasil10[3][i].trim() !== ''
-            ? hasil10[3][i].trim() : pilihVersi(kekuatanKelemahan[bottom3[i].index].teks3, rand);
-        const getReko = i => hasil10[4] && hasil10[4][i] && hasil10[4][i].trim() !== ''
-            ? hasil10[4][i].trim() : pilihVersi(kekuatanKelemahan[bottom3[i].index].teks5, rand);
+        const top3    = pilih3Distribusi(sorted_desc.filter(bolehDipilih)); // untuk kelebihan
+        const bottom3 = pilih3Distribusi(sorted_asc.filter(bolehDipilih));  // untuk kelemahan & rekomendasi
 
-        return {
+        // Override manual dari hasil10 jika ada, fallback ke teks engine.
+        // rand hanya dipakai untuk posisi tanpa override (versi kalimat kandidat lama tetap);
+        // teks engine pembanding untuk posisi yang di-override diambil dari aliran seeded terpisah.
+        const randPembanding = makeSeededRand(seedFromId(id_x) ^ 0x9E3779B9);
+        const teksAsal = (kolom, i, versi) => {
+            const override = hasil10[kolom] && hasil10[kolom][i] && hasil10[kolom][i].trim() !== ''
+                ? hasil10[kolom][i].trim() : null;
+            return asalNilai(pilihVersi(versi, override === null ? rand : randPembanding), override);
+        };
+        const versiPita = (item, kolom) =>
+            teksMenurutPita(teksAspek(definisiAspek[item.index]), kolom, item.value, definisiAspek[item.index].nama);
+        const kelebihanAsal   = [0, 1, 2].map(i => teksAsal(2, i, versiPita(top3[i], 'teks2')));
+        const kelemahanAsal   = [0, 1, 2].map(i => teksAsal(3, i, versiPita(bottom3[i], 'teks3')));
+        const rekomendasiAsal = [0, 1, 2].map(i => teksAsal(4, i, versiPita(bottom3[i], 'teks5')));
+
+        // Semua aspek yang dinilai ≥ rata-rata → kelemahan sudah dilunakkan lewat pita;
+        // opsi.kelemahanRataRata = 'sembunyikan' meminta halaman tidak menampilkannya
+        const semuaRataRata = aspek.every((a, i) => aspekDitahan.includes(i) || !a.tersedia || resultScores[i] >= 5);
+
+        const provenans = {
+            IQ: asalNilai(iqHitung, iqManual ? IQ : null),
+            skor: aspek.map((a, i) => Object.assign({ kode: a.kode, nama: a.nama }, asalNilai(a.skor, skorOverride[i]))),
+            kelebihan:   kelebihanAsal,
+            kelemahan:   kelemahanAsal,
+            rekomendasi: rekomendasiAsal,
+            minat: minat3.map(({ singkatan, namaOverride, ketOverride }) => {
+                const data = minatData.find(m => m.singkatan === singkatan) || {};
+                return {
+                    singkatan,
+                    nama:       asalNilai(data.arah_minat || singkatan, namaOverride),
+                    keterangan: asalNilai(data.keterangan_minat || '', ketOverride)
+                };
+            })
+        };
+
+        const hasil = {
             // Identitas
             identitas: {
                 nama:    nama[0] ? nama[0][0]  : '',
@@ -401,19 +2510,122 @@
                 tanggal: hasil10[0] ? hasil10[0][1] : '',
                 tanggalTTD: hasil10[0] ? hasil10[0][4] : ''
             },
-            // Skor
+            // Skor (iqTersedia = false bila data sumber IQ kosong dan IQ bukan isian manual)
             IQ,
+            iqTersedia: tersedia('IQ'),
             resultScores,
+            // Set aspek yang dipakai; aspek[i] sejajar resultScores[i]
+            // (sumber = variabel yang benar-benar dipakai, tersedia = data sumbernya ada,
+            //  norma = { kode, nama, versi, tabel } yang menghasilkan skor 1–10)
+            setAspek: kodeSetAspek,
+            normaSkala: { kode: kodeNormaSkala, nama: setNormaSkala.nama, versi: setNormaSkala.versi },
+            aspek: aspek.map(({ skor, rumus, ...a }) => a),
+            aspekPsikologis: keAspekPsikologis(definisiAspek),
             konsistensi: epps.konsistensi,
+            // Norma EPPS yang dipakai; fallback = populasi diminta atau norma jk
+            // terdaftar, tetapi tidak ada yang cocok untuk peserta ini
+            normaEPPS: {
+                kode:     kodeNorma,
+                label:    normaEPPS[kodeNorma].label,
+                jk:       normalisasiJK(nama[0] ? nama[0][8] : ''),
+                populasi: opsi.populasiEPPS || null,
+                fallback: kodeNorma === 'gabungan' && !opsi.normaEPPS
+                    && (!!opsi.populasiEPPS || Object.keys(normaEPPS).length > 1)
+            },
+            // Sumber aspek KEMAMPUAN & IQ: 'cfit' | 'ist'
+            sumberKemampuan,
+            // Sumber IQ & Kemampuan Umum (aspek 0): 'cfit' | 'ist' | 'apm' | 'manual'
+            sumberKemampuanUmum,
+            // Skor APM: Set I/II, persentil, grade, IQ (null jika APM tidak diisi)
+            apm,
+            // Skor IST: RW/SW per subtes, IQ, bentuk profil (null jika IST tidak diisi)
+            ist,
+            // Konversi IQ CFIT: usia tes & kolom norma yang dipakai (untuk audit psikolog)
+            normaCFIT: {
+                skorTotal:   skorCFIT,
+                IQ:          iqCalc,
+                usia:        konversiCFIT.usia,
+                kolomUsia:   konversiCFIT.kolomUsia,
+                diLuarNorma: konversiCFIT.diLuarNorma,
+                usiaDefault: konversiCFIT.usiaDefault
+            },
+            // Status validitas EPPS dari konsistensi (null jika EPPS tidak diisi)
+            validitasEPPS: validitas,
+            // Index aspek yang harus disembunyikan halaman (opsi.eppsTidakValid = 'tahan')
+            aspekDitahan,
+            // Profil lengkap 15 kebutuhan EPPS (null jika EPPS tidak diisi)
+            profilEPPS: validasi.subtes.epps === 'kosong' ? null : profilEPPS(epps),
             // Indeks terurut (tetap dikirim untuk keperluan render tabel)
             sorted_desc,
             sorted_asc,
             // Teks hasil distribusi lintas grup
-            kelebihan:  [getKelebihan(0), getKelebihan(1), getKelebihan(2)],
-            kelemahan:  [getKelemahan(0), getKelemahan(1), getKelemahan(2)],
-            rekomendasi:[getReko(0),      getReko(1),      getReko(2)],
-            minat3
+            kelebihan:  kelebihanAsal.map(a => a.akhir),
+            kelemahan:  kelemahanAsal.map(a => a.akhir),
+            rekomendasi:rekomendasiAsal.map(a => a.akhir),
+            // Pita skor aspek di balik tiap kalimat kelebihan / kelemahan & rekomendasi
+            pitaTeks: {
+                kelebihan: top3.map(t => pitaSkor(t.value).kode),
+                kelemahan: bottom3.map(t => pitaSkor(t.value).kode)
+            },
+            semuaRataRata,
+            kelemahanDisembunyikan: semuaRataRata && opsi.kelemahanRataRata === 'sembunyikan',
+            minat3,
+            // Asal setiap nilai yang bisa di-override x_10: nilai hitung engine, nilai akhir, sumber
+            provenans,
+            // Hanya nilai yang di-override (kosong = laporan murni hasil engine)
+            diubah: daftarDiubah(provenans),
+            // Info seri di batas 3 besar minat (perluReview → putuskan manual)
+            seriMinat,
+            // Ranking lengkap 12 kategori RMIB + 3 terbawah sebagai bidang yang dihindari
+            // (urut dari yang paling tidak diminati; null jika RMIB tidak diisi)
+            rankingMinat: ranking,
+            minatDihindari: ranking ? ranking.slice(-3).reverse() : null,
+            // Kode Holland RIASEC dari total RMIB (null jika RMIB tidak diisi)
+            holland: ranking ? hollandRIASEC(rmib) : null,
+            // Kunci form RMIB yang dipakai; fallback = form khusus jk peserta belum didaftarkan
+            formRMIB: {
+                kode:     form.kode,
+                label:    formRMIB[form.kode].label,
+                sumber:   form.sumber,
+                fallback: form.fallback
+            },
+            adapter: namaAdapter,
+            kolomTidakTerbaca,
+            // Laporan validasi data mentah (lihat validatePsikogram)
+            validasi,
+            // Jejak skor per aspek, sejajar aspek (null jika opsi.jejak tidak aktif)
+            jejak: opsi.jejak ? jejakSkor(aspek, resultScores, skorOverride, {
+                variabel, epps, kodeNormaEPPS: kodeNorma, ist, apm,
+                skorCFIT, kolomCFIT: konversiCFIT.kolomUsia, iqHitung, sumberKemampuanUmum
+            }) : null
         };
+        // Kecocokan dengan profil jabatan (null jika opsi.profilJabatan kosong)
+        hasil.kecocokanJabatan = opsi.profilJabatan ? hitungKecocokan(hasil, opsi.profilJabatan) : null;
+        hasil.rekomendasiProgramStudi = hasil.rankingMinat
+            ? rekomendasiProgramStudi(hasil, opsi.jumlahProgramStudi)
+            : null;
+        hasil.jurusanSMA = hasil.setAspek === 'standar'
+            ? rekomendasiJurusanSMA({
+                skor:  Object.fromEntries(hasil.aspek.map((a, i) => [a.kode, a.tersedia ? hasil.resultScores[i] : 0])),
+                IQ:    hasil.IQ,
+                minat: hasil.rankingMinat ? hasil.minat3.map(m => m.singkatan) : []
+            })
+            : null;
+        // Bahasa laporan: 'en' mengganti teks & tabel aspek, 'id-en' menambah terjemahan
+        // (label halaman lewat labelLokal; teks override psikolog tidak diterjemahkan)
+        const [bahasaUtama, bahasaKedua] = uraiBahasa(opsi.bahasa);
+        const peringatanBahasa = pesanBahasa(opsi.bahasa);
+        if (peringatanBahasa) {
+            validasi.warnings.push({ level: 'warning', field: 'bahasa', subtes: 'LAPORAN', kode: 'BAHASA_TIDAK_DIKENAL', pesan: peringatanBahasa });
+        }
+        const lokal = lokalisasiHasil(hasil, bahasaUtama);
+        hasil.terjemahan = bahasaKedua ? lokalisasiHasil(hasil, bahasaKedua) : null;
+        hasil.bahasa = bahasaKedua ? `${bahasaUtama}-${bahasaKedua}` : bahasaUtama;
+        hasil.lokal = lokal;
+        ['kelebihan', 'kelemahan', 'rekomendasi', 'aspekPsikologis'].forEach(k => { hasil[k] = lokal[k]; });
+        // Versi engine, norma & konten yang menghasilkan laporan ini (lihat CAP VERSI)
+        hasil.versi = capVersi(hasil);
+        return hasil;
     }
 
     // =========================================================
@@ -455,6 +2667,99 @@
         return arr[Math.floor(rand() * arr.length)];
     }
 
+    // =========================================================
+    // TEKS MENURUT PITA SKOR
+    // Kelebihan diambil dari 3 skor tertinggi dan kelemahan dari 3 terendah,
+    // padahal "terendah" bisa saja bernilai 7. Kalimat dipilih menurut pita
+    // skor aspek yang bersangkutan:
+    //   sangat_rendah 1–2 · rendah 3–4 · rata_rata 5–6 · tinggi 7–8 · sangat_tinggi 9–10
+    // Urutan pencarian: teks.pita[pita][kolom] milik aspek → TEKS_PITA[kolom][pita]
+    // (template umum, {aspek}/{Aspek} = nama aspek) → teks kolom biasa.
+    // =========================================================
+
+    const PITA_SKOR = [
+        { kode: 'sangat_rendah', label: 'Sangat Rendah', maks: 2 },
+        { kode: 'rendah',        label: 'Rendah',        maks: 4 },
+        { kode: 'rata_rata',     label: 'Rata-rata',     maks: 6 },
+        { kode: 'tinggi',        label: 'Tinggi',        maks: 8 },
+        { kode: 'sangat_tinggi', label: 'Sangat Tinggi', maks: 10 }
+    ];
+
+    function pitaSkor(skor) {
+        return PITA_SKOR.find(p => skor <= p.maks) || PITA_SKOR[PITA_SKOR.length - 1];
+    }
+
+    const TEKS_PITA = {
+        // Kelebihan yang skornya masih rendah → "relatif paling berkembang";
+        // pita sangat_rendah lebih hati-hati (tarafnya masih jauh dari memadai)
+        teks2: {
+            sangat_rendah: [
+                "Di antara aspek-aspek yang ada, {aspek} adalah yang paling berkembang, meskipun tarafnya masih sangat terbatas dan memerlukan pendampingan.",
+                "{Aspek} relatif lebih baik dibanding aspek lain, tetapi belum dapat diandalkan sebagai kekuatan dan perlu dilatih secara bertahap.",
+                "Walau masih jauh dari taraf memadai, {aspek} menjadi aspek yang paling mungkin dikembangkan lebih dulu."
+            ],
+            rendah: [
+                "{Aspek} merupakan aspek yang relatif paling berkembang dibanding aspek lainnya, meskipun masih perlu terus ditingkatkan.",
+                "Dibanding aspek lain, {aspek} menjadi modal yang paling dapat diandalkan, walau taraf pencapaiannya belum optimal.",
+                "{Aspek} tergolong lebih menonjol daripada aspek lainnya dan dapat menjadi titik awal pengembangan diri."
+            ]
+        },
+        // Kelemahan yang skornya sudah cukup/baik → bahasa yang dilunakkan.
+        // Pita rendah & sangat_rendah sengaja tidak ada: teks3 bawaan tiap aspek
+        // memang ditulis untuk kelemahan nyata dan lebih spesifik dari template.
+        teks3: {
+            rata_rata: [
+                "{Aspek} sudah berada pada taraf cukup, namun relatif belum sekuat aspek lainnya.",
+                "Pada {aspek}, kemampuan sudah memadai untuk tuntutan umum, tetapi masih dapat dioptimalkan.",
+                "{Aspek} berfungsi cukup baik, hanya saja belum menjadi keunggulan dibanding aspek lain."
+            ],
+            tinggi: [
+                "{Aspek} tergolong baik; hanya secara relatif sedikit di bawah aspek-aspek lain yang lebih menonjol.",
+                "Tidak tampak kelemahan berarti pada {aspek}; aspek ini sudah berkembang baik meski bukan yang paling menonjol.",
+                "{Aspek} sudah baik dan dapat terus dipertahankan agar seimbang dengan aspek unggulan lainnya."
+            ],
+            sangat_tinggi: [
+                "Tidak tampak kelemahan berarti pada {aspek}; aspek ini sudah berkembang sangat baik.",
+                "{Aspek} tergolong sangat baik, sehingga tidak menjadi hambatan dalam aktivitas sehari-hari."
+            ]
+        },
+        rekomendasi: {
+            rata_rata: [
+                "Disarankan untuk terus mengasah {aspek} melalui latihan dan pengalaman yang menantang, agar taraf yang sudah cukup dapat meningkat menjadi keunggulan.",
+                "Sebaiknya memberi perhatian rutin pada pengembangan {aspek}, misalnya dengan menetapkan target latihan yang terukur.",
+                "Dianjurkan mencari kesempatan untuk menerapkan {aspek} dalam tugas nyata agar kemampuan yang sudah memadai semakin terasah."
+            ],
+            tinggi: [
+                "Pertahankan {aspek} yang sudah baik dengan tetap aktif menerapkannya dalam kegiatan sehari-hari.",
+                "Disarankan untuk memanfaatkan {aspek} yang sudah baik sebagai penopang dalam mengembangkan aspek lain.",
+                "Tetap jaga konsistensi {aspek} melalui tantangan baru agar kemampuan yang sudah baik tidak menurun."
+            ],
+            sangat_tinggi: [
+                "Pertahankan {aspek} yang sudah sangat baik dan manfaatkan sebagai keunggulan utama.",
+                "Disarankan untuk menyalurkan {aspek} yang sangat baik pada peran yang menuntut kemampuan tersebut."
+            ]
+        }
+    };
+
+    function isiTemplatAspek(versi, nama) {
+        const isi = t => t.replace(/\{Aspek\}/g, nama).replace(/\{aspek\}/g, nama.toLowerCase());
+        return Array.isArray(versi) ? versi.map(isi) : isi(versi);
+    }
+
+    /**
+     * Versi kalimat untuk kolom ('teks2' | 'teks3' | 'teks5') sesuai pita skor.
+     * Teks biasa dipakai untuk pita yang memang cocok dengan kolomnya
+     * (kelebihan ≥ rata-rata, kelemahan/rekomendasi ≤ rendah).
+     */
+    function teksMenurutPita(teks, kolom, skor, nama) {
+        const pita = pitaSkor(skor).kode;
+        const khusus = teks && teks.pita && teks.pita[pita] && teks.pita[pita][kolom];
+        if (khusus) return khusus;
+        const umum = TEKS_PITA[kolom === 'teks5' ? 'rekomendasi' : kolom][pita];
+        if (umum) return isiTemplatAspek(umum, nama);
+        return teks ? teks[kolom] : '';
+    }
+
     // =========================================================
     // DATA STATIS — 5 versi per teks2 (kelebihan), teks3 (kelemahan), teks5 (rekomendasi)
     // =========================================================
@@ -813,34 +3118,1398 @@
         {arah_minat:"MEDICAL",        singkatan:"MED",       keterangan_minat:"Minat ini berkaitan dengan kepedulian terhadap kesehatan manusia dan keinginan untuk berkontribusi dalam pelayanan medis. Seseorang dengan minat ini tertarik pada ilmu kesehatan, diagnosis, perawatan, serta upaya pencegahan penyakit demi meningkatkan kualitas hidup masyarakat. Contoh jurusan: Kedokteran, Kedokteran Gigi, Keperawatan, Kesehatan Masyarakat, Ilmu Gizi."}
     ];
 
-    const aspekPsikologis = [
-        // [section_header, nama_aspek, keterangan]  — section null = tidak ada header baru
-        ['KEMAMPUAN',  'Kemampuan Umum',           'Mampu menemukan solusi untuk berbagai masalah dengan efektif.'],
-        [null,         'Daya Tangkap Visual',       'Cepat mengenali pola dan perbedaan di lingkungan sekitar.'],
-        [null,         'Kemampuan Berpikir Logis',  'Mampu membuat keputusan berdasarkan alasan yang jelas dalam situasi tertentu.'],
-        [null,         'Kemampuan Berpikir Abstrak','Mampu melihat hubungan antara berbagai hal dan memahami konsekuensi dari tindakan.'],
-        [null,         'Penalaran Verbal',          'Mampu berkomunikasi dengan jelas dan efektif dalam interaksi.'],
-        [null,         'Penalaran Numerik',         'Kemampuan memahami proses hitung dan berpikir teratur'],
-        ['KEPRIBADIAN','Hasrat Berprestasi',        'Keinginan untuk mencapai dan meningkatkan prestasi'],
-        [null,         'Daya Tahan Stress',         'Kemampuan mempertahankan kinerja'],
-        [null,         'Kepercayaan Diri',          'Adanya keyakinan terhadap kemampuan yang dimiliki'],
-        [null,         'Relasi Sosial',             'Kemampuan membina hubungan dengan orang lain'],
-        [null,         'Kerjasama',                 'Kemampuan bekerjasama individu atau berkelompok'],
-        ['SIKAP KERJA','Sistematika Kerja',         'Kemampuan membuat perencanaan & prioritas kerja'],
-        [null,         'Inisiatif',                 'Kemampuan mengambil tindakan yang diperlukan'],
-        [null,         'Kemandirian',               'Kemampuan mengambil sikap dan bekerja sendiri']
+    // [section_header, nama_aspek, keterangan] set standar — section null = tidak ada header baru.
+    // Untuk set lain pakai hasil.aspekPsikologis dari hitungPsikogram.
+    const aspekPsikologis = keAspekPsikologis(ASPEK_STANDAR);
+
+    // =========================================================
+    // LOKALISASI — BAHASA LAPORAN
+    // Konten engine ditulis dalam bahasa Indonesia (kode 'id'). Paket bahasa
+    // lain memetakan konten yang sama, versi kalimat per indeks sejajar
+    // dengan aslinya, sehingga versi yang terpilih untuk kandidat tetap sama
+    // di semua bahasa. Bahasa laporan:
+    //   'id'    → Indonesia (default)
+    //   'en'    → paket 'en' menggantikan teks hasil
+    //   'id-en' → dwibahasa: teks Indonesia + hasil.terjemahan (bahasa kedua)
+    // Kode tanpa paket dilewati dengan peringatan (BAHASA_TIDAK_DIKENAL).
+    // Teks yang ditulis psikolog (override x_10) tidak diterjemahkan.
+    // Halaman berbahasa: index.html, index_json_new.html (dari hitungPsikogram)
+    // dan psikogram_db/index_final.html (baris rekap, lokalisasiRekap); varian
+    // index_final lainnya masih berbahasa Indonesia saja.
+    // =========================================================
+
+    const LABEL_ID = {
+        judul:              'PROFIL PEMERIKSAAN PSIKOLOGIS',
+        nama:               'Nama',
+        jenis_kelamin:      'Jenis Kelamin',
+        usia:               'Usia',
+        tahun:              'Tahun',
+        tanggal_pemeriksaan:'Tanggal Pemeriksaan',
+        aspek_psikologis:   'Aspek Psikologis',
+        aspek_dan_deskripsi:'Aspek dan Deskripsi Psikologis',
+        keterangan:         'Keterangan',
+        skala:              'Skala',
+        skala_k:            'K',
+        skala_c:            'C',
+        skala_b:            'B',
+        skala_bs:           'BS',
+        legenda_skala:      '*Keterangan : K = Kurang ; C = Cukup ; B = Baik ; BS = Baik Sekali',
+        aspek_ditahan:      'Ditahan — hasil EPPS tidak valid',
+        iq:                 'Intelligence Quotient (IQ) :',
+        kelebihan:          'Strengths/Kelebihan:',
+        kelemahan:          'Weaknesses/Kelemahan:',
+        rekomendasi:        'Recommendation/Rekomendasi:',
+        arah_minat:         'Arah Minat Pendidikan / Pekerjaan',
+        minat_dihindari:    'Bidang yang Kurang Diminati:',
+        holland:            'Tipe Minat Holland (RIASEC)',
+        program_studi:      'Rekomendasi Program Studi',
+        jurusan_sma:        'Rekomendasi Penjurusan SMA',
+        kecocokan:          'Kesesuaian dengan Profil Jabatan',
+        psikolog:           'Psikolog,',
+        laki_laki:          'Laki-laki',
+        perempuan:          'Perempuan',
+        versi_engine:       'Engine',
+        versi_norma:        'Norma',
+        versi_konten:       'Konten'
+    };
+
+    const KATEGORI_IQ = [
+        // [kode, batas atas, label Indonesia]
+        ['mental_defective',  69,       'Mental Defective'],
+        ['borderline',        79,       'Borderline'],
+        ['rata_rata_bawah',   89,       'Rata-rata Bawah'],
+        ['rata_rata',         109,      'Rata-rata'],
+        ['di_atas_rata_rata', 119,      'Di Atas Rata-rata'],
+        ['superior',          129,      'Superior'],
+        ['sangat_superior',   139,      'Sangat Superior'],
+        ['genius',            Infinity, 'Genius']
     ];
 
+    const paketLokal = {
+        en: {
+            nama: 'English',
+            label: {
+                judul:              'PSYCHOLOGICAL ASSESSMENT PROFILE',
+                nama:               'Name',
+                jenis_kelamin:      'Gender',
+                usia:               'Age',
+                tahun:              'Years',
+                tanggal_pemeriksaan:'Assessment Date',
+                aspek_psikologis:   'Psychological Aspects',
+                aspek_dan_deskripsi:'Psychological Aspects and Descriptions',
+                keterangan:         'Description',
+                skala:              'Scale',
+                skala_k:            'P',
+                skala_c:            'F',
+                skala_b:            'G',
+                skala_bs:           'VG',
+                legenda_skala:      '*Legend : P = Poor ; F = Fair ; G = Good ; VG = Very Good',
+                aspek_ditahan:      'Withheld — EPPS result not valid',
+                iq:                 'Intelligence Quotient (IQ) :',
+                kelebihan:          'Strengths:',
+                kelemahan:          'Weaknesses:',
+                rekomendasi:        'Recommendation:',
+                arah_minat:         'Educational and Career Interests',
+                minat_dihindari:    'Least Preferred Areas:',
+                holland:            'Holland Interest Type (RIASEC)',
+                program_studi:      'Recommended Study Programs',
+                jurusan_sma:        'Recommended Senior High School Stream',
+                kecocokan:          'Job Profile Fit',
+                psikolog:           'Psychologist,',
+                laki_laki:          'Male',
+                perempuan:          'Female',
+                versi_engine:       'Engine',
+                versi_norma:        'Norms',
+                versi_konten:       'Content'
+            },
+            kategoriIQ: {
+                mental_defective: 'Mental Defective', borderline: 'Borderline', rata_rata_bawah: 'Low Average',
+                rata_rata: 'Average', di_atas_rata_rata: 'High Average', superior: 'Superior',
+                sangat_superior: 'Very Superior', genius: 'Genius'
+            },
+            grup: { 'KEMAMPUAN': 'ABILITIES', 'KEPRIBADIAN': 'PERSONALITY', 'SIKAP KERJA': 'WORK ATTITUDE' },
+            aspek: {
+                kemampuan_umum:             { nama: 'General Ability',            keterangan: 'Able to find effective solutions to a wide range of problems.' },
+                daya_tangkap_visual:        { nama: 'Visual Perception',          keterangan: 'Quick to recognise patterns and differences in the surroundings.' },
+                kemampuan_berpikir_logis:   { nama: 'Logical Thinking',           keterangan: 'Able to make decisions based on clear reasoning in a given situation.' },
+                kemampuan_berpikir_abstrak: { nama: 'Abstract Thinking',          keterangan: 'Able to see relationships between things and understand the consequences of actions.' },
+                penalaran_verbal:           { nama: 'Verbal Reasoning',           keterangan: 'Able to communicate clearly and effectively in interactions.' },
+                penalaran_numerik:          { nama: 'Numerical Reasoning',        keterangan: 'Ability to understand calculation and think in an orderly way' },
+                hasrat_berprestasi:         { nama: 'Achievement Motivation',     keterangan: 'The drive to achieve and improve performance' },
+                daya_tahan_stress:          { nama: 'Stress Tolerance',           keterangan: 'Ability to sustain performance' },
+                kepercayaan_diri:           { nama: 'Self-Confidence',            keterangan: 'Belief in one’s own abilities' },
+                relasi_sosial:              { nama: 'Social Relations',           keterangan: 'Ability to build relationships with others' },
+                kerjasama:                  { nama: 'Teamwork',                   keterangan: 'Ability to cooperate individually or in groups' },
+                sistematika_kerja:          { nama: 'Work Organisation',          keterangan: 'Ability to plan and prioritise work' },
+                inisiatif:                  { nama: 'Initiative',                 keterangan: 'Ability to take the necessary action' },
+                kemandirian:                { nama: 'Independence',               keterangan: 'Ability to take a stand and work alone' }
+            },
+            // Kunci = teks1 kekuatanKelemahan; indeks versi sejajar dengan teks Indonesia
+            teks: {
+                'Kemampuan Umum': {
+                    teks2: [
+                        'Able to find effective solutions to a wide range of problems.',
+                        'Has good analytical ability in breaking down and solving problems.',
+                        'Skilled at understanding situations and designing the right steps to resolve them.',
+                        'Shows sharp thinking that helps in facing various challenges.',
+                        'Known for thinking systematically so that problems can be solved well.'
+                    ],
+                    teks3: [
+                        'Has difficulty dealing with highly complex problems.',
+                        'Tends to feel overwhelmed by layered problems that require in-depth analysis.',
+                        'Sometimes needs more time to process problems with many variables.',
+                        'Less effective in handling problems that demand a multidimensional approach at once.',
+                        'Needs further development in handling problems that have no single solution.'
+                    ],
+                    teks5: [
+                        'It is advisable to practise problem solving through complex case simulations and group discussions, to build resilience in facing bigger challenges.',
+                        'Actively joining case-study training and cross-disciplinary discussion forums is strongly recommended, to broaden insight into solving complex problems.',
+                        'It would help to make a habit of reading real cases from various fields and analysing them independently, to train flexible thinking in more complicated situations.',
+                        'Finding an experienced mentor and regularly discussing work challenges is recommended, so that complex problem-solving skills develop gradually.',
+                        'It is important to practise structured thinking frameworks such as root-cause analysis in daily work, to sharpen the handling of layered problems.'
+                    ]
+                },
+                'Daya Tangkap Visual': {
+                    teks2: [
+                        'Quick to recognise patterns and differences in the surroundings.',
+                        'Highly sensitive in reading visual information quickly and accurately.',
+                        'Responsive to visual changes and able to react to situations promptly.',
+                        'Able to identify visual details well in changing situations.',
+                        'Excels at processing visual and spatial information.'
+                    ],
+                    teks3: [
+                        'Pays less attention to smaller details, which affects the final result.',
+                        'Sometimes misses minor visual information that affects the quality of work.',
+                        'Tends to focus on the big picture so that small details are often overlooked.',
+                        'Needs to pay more attention to small elements that determine the accuracy of work.',
+                        'Is sometimes not careful enough when rechecking visual details, which may lead to small errors.'
+                    ],
+                    teks5: [
+                        'Practising mindfulness techniques is strongly recommended to improve focus on small details, so that work results are more complete and accurate.',
+                        'It is recommended to make a habit of structured rechecking of every piece of work, so that important details are not missed.',
+                        'It would help to use a checklist at every stage of work, so that attention to small details stays consistent.',
+                        'It is advisable to train concentration with visual exercises such as puzzles or activities requiring high precision, to increase sensitivity to detail.',
+                        'It is important to set aside dedicated time to review work before completing it, to make sure no important detail is missed.'
+                    ]
+                },
+                'Kemampuan Berpikir Logis': {
+                    teks2: [
+                        'Able to make decisions based on clear reasoning in a given situation.',
+                        'Shows good ability in building coherent and structured arguments.',
+                        'Tends to make decisions objectively based on available facts and data.',
+                        'Used to thinking systematically and able to assess situations with careful consideration.',
+                        'Known for a rational approach to a wide range of problems.'
+                    ],
+                    teks3: [
+                        'Has difficulty making quick decisions in urgent situations.',
+                        'Tends to need more time to decide when time pressure increases.',
+                        'Less effective in situations that demand a quick response without room for deep analysis.',
+                        'Is sometimes too cautious in making decisions and is held back when time is very limited.',
+                        'Needs to improve in making decisions that are quick yet still on target under pressure.'
+                    ],
+                    teks5: [
+                        'It would help to attend training designed for decision making under pressure, to improve the speed and accuracy of decisions in urgent situations.',
+                        'It is advisable to practise quick decision scenarios through simulations or strategy games, so that responses under pressure become sharper.',
+                        'Learning priority-based decision techniques such as the Eisenhower Matrix is strongly recommended, so that the most appropriate action can still be chosen in urgent situations.',
+                        'It is important to build the habit of using simple decision frameworks that can be applied quickly, so that thinking is not blocked when time is very limited.',
+                        'It is recommended to practise regularly in situations that simulate time pressure, so that confidence and speed in deciding keep growing.'
+                    ]
+                },
+                'Kemampuan Berpikir Abstrak': {
+                    teks2: [
+                        'Able to see relationships between things and understand the consequences of actions.',
+                        'Excels at understanding non-literal concepts rich in implicit meaning.',
+                        'Has a good ability to connect ideas from various perspectives creatively.',
+                        'Skilled at understanding hidden patterns and the long-term implications of a situation.',
+                        'Able to think outside conventional frameworks and produce fresh perspectives.'
+                    ],
+                    teks3: [
+                        'Finds it challenging to translate abstract ideas into practice.',
+                        'Sometimes has difficulty turning big concepts into concrete work steps.',
+                        'Ideas produced tend to remain general and need further elaboration.',
+                        'Needs to improve in connecting abstract concepts with real needs and contexts.',
+                        'Is sometimes absorbed in ideas without thinking enough about how to realise them in practice.'
+                    ],
+                    teks5: [
+                        'It is advisable to carry out small projects that help put abstract ideas into real practice, to learn from experience and improve the ability to apply ideas.',
+                        'It is very useful to make a habit of drawing up an action plan for every idea, so that ideas do not stop at the conceptual level.',
+                        'Collaborating with colleagues who are strong in execution is recommended, so that abstract ideas can more easily become real results.',
+                        'It would help to learn tools such as mind-mapping or canvas models to structure ideas into a more operational form.',
+                        'It is important to practise building prototypes or small trials of each idea, so that the ability to execute abstract concepts grows step by step.'
+                    ]
+                },
+                'Penalaran Verbal': {
+                    teks2: [
+                        'Able to communicate clearly and effectively in interactions.',
+                        'Has good language skills so that messages are conveyed accurately.',
+                        'Skilled at composing sentences that are straightforward and easy for others to understand.',
+                        'Known to be communicative and able to adapt speaking style to various situations.',
+                        'Capable of expressing ideas verbally, both orally and in writing.'
+                    ],
+                    teks3: [
+                        'Is less patient in listening to other people’s views, which hinders communication.',
+                        'Sometimes focuses more on expressing own opinions than on listening to input from others.',
+                        'Tends to give others too little room to express their views fully.',
+                        'Needs to improve active listening skills so that two-way communication is more balanced.',
+                        'Sometimes responds too hastily and does not fully understand what others mean.'
+                    ],
+                    teks5: [
+                        'It is very useful to train active listening skills through role-playing, which can increase appreciation of other people’s views and improve communication.',
+                        'It is advisable to practise paraphrasing in every conversation, restating what the other person said before responding, so that communication becomes more effective.',
+                        'It is important to make a habit of pausing briefly and making sure of understanding before answering, to create more mutually respectful communication.',
+                        'Attending communication training or joining structured discussion forums is recommended, so that balanced listening and responding skills keep developing.',
+                        'It would help to build self-awareness in conversations by deliberately giving others more turns to speak, so that communication becomes more harmonious.'
+                    ]
+                },
+                'Penalaran Numerik': {
+                    teks2: [
+                        'Ability to understand calculation and think in an orderly way.',
+                        'Able to process numerical data carefully and systematically.',
+                        'Has structured thinking habits that support understanding of quantitative concepts.',
+                        'Skilled at using numerical logic to support analysis and decision making.',
+                        'Used to working with data that requires careful calculation and numerical accuracy.'
+                    ],
+                    teks3: [
+                        'Needs more time to understand more complicated mathematical concepts.',
+                        'Sometimes struggles with calculations that involve many steps at once.',
+                        'Less fluent in simplifying complex mathematical operations into easier steps.',
+                        'Needs to improve speed and accuracy in handling highly complex numerical problems.',
+                        'Sometimes feels less confident with problems that combine several mathematical concepts at once.'
+                    ],
+                    teks5: [
+                        'It is advisable to practise regularly with more complex mathematical problems, to improve speed and understanding of difficult concepts.',
+                        'Using numerical practice applications or platforms every day is strongly recommended, so that calculation skills are sharpened consistently.',
+                        'It would help to start from a strong understanding of basic concepts before moving to more complex topics, so that the foundation of numerical thinking is solid.',
+                        'Joining a study group focused on applied mathematics is recommended, to exchange effective problem-solving strategies.',
+                        'It is important to regularly work through graded problems, from simple to most complex, to build confidence step by step.'
+                    ]
+                },
+                'Hasrat Berprestasi': {
+                    teks2: [
+                        'The drive to achieve and improve performance.',
+                        'Has strong motivation to keep developing and achieve the best results.',
+                        'Known as someone who is not easily satisfied and always strives to raise work standards.',
+                        'Shows great enthusiasm in pursuing targets and delivering results beyond expectations.',
+                        'Driven by positive ambition to make a real contribution in every task undertaken.'
+                    ],
+                    teks3: [
+                        'The burden of high expectations can affect focus and performance.',
+                        'Sometimes the pressure to always appear perfect creates anxiety that disrupts productivity.',
+                        'Excessively high expectations of oneself can backfire and slow down progress.',
+                        'Tends to find it hard to accept results perceived as imperfect, which hinders moving forward.',
+                        'Needs to learn to balance ambition with acceptance of the process, so that performance is not overburdened.'
+                    ],
+                    teks5: [
+                        'It is very important to set realistic goals and evaluate them periodically, to maintain motivation and focus on more measurable achievements.',
+                        'It is advisable to adopt a growth mindset, seeing every mistake as part of learning, so that pressure for perfection can be reduced.',
+                        'It would help to break big goals into small achievements whose process can be enjoyed, so that the drive to achieve is maintained without excessive stress.',
+                        'Regularly celebrating small successes as a form of self-appreciation is recommended, so that motivation stays positive and is not drained by overly high expectations.',
+                        'It is important to learn to set healthy limits between maximum effort and acceptance of results, so that the drive to achieve remains healthy and sustainable.'
+                    ]
+                },
+                'Daya Tahan Stress': {
+                    teks2: [
+                        'Ability to sustain performance under pressure.',
+                        'Able to stay calm and productive even in highly pressured situations.',
+                        'Shows resilience in maintaining emotional stability and work performance when facing challenges.',
+                        'Fairly reliable in managing daily pressure without letting it disrupt work results.',
+                        'Known as someone who is not easily shaken in situations full of uncertainty.'
+                    ],
+                    teks3: [
+                        'Feels overwhelmed when facing prolonged pressure.',
+                        'Sometimes finds it hard to recover quickly after a long period of pressure.',
+                        'Capacity to manage stress drops significantly when workloads pile up at the same time.',
+                        'Tends to lose productivity when pressure continues without recovery breaks.',
+                        'Needs better strategies for managing energy to increase resilience to long-term pressure.'
+                    ],
+                    teks5: [
+                        'It would help to practise relaxation techniques and effective time management, to reduce stress and improve performance under pressure.',
+                        'Building a daily recovery routine such as light exercise or meditation is strongly recommended, to increase capacity for long-term pressure.',
+                        'It is advisable to learn to recognise early signs of emotional exhaustion and take recovery steps promptly, so that burnout is prevented before it affects performance.',
+                        'It is important to build a strong support system at work, so that there is somewhere to share the load when pressure feels too heavy to carry alone.',
+                        'It is recommended to regularly schedule breaks during busy work, to keep mental stamina at its best in the long run.'
+                    ]
+                },
+                'Kepercayaan Diri': {
+                    teks2: [
+                        'Belief in one’s own abilities.',
+                        'Shows confidence in expressing opinions and taking action.',
+                        'Able to appear calm and convincing in situations that require the courage to step forward.',
+                        'Has fairly strong self-esteem and is not easily shaken by negative judgement from others.',
+                        'Known as someone who dares to express themselves and does not hesitate to take an active role.'
+                    ],
+                    teks3: [
+                        'Is less open to constructive criticism, which hinders development.',
+                        'Sometimes responds defensively to criticism, limiting the chance to learn from feedback.',
+                        'Tends to feel uncomfortable receiving negative evaluation, even when it is well intended.',
+                        'Needs to improve the ability to accept feedback openly so that self-development potential can be maximised.',
+                        'Is sometimes too attached to own point of view and finds it hard to weigh others’ perspectives fairly.'
+                    ],
+                    teks5: [
+                        'It is advisable to regularly ask others for feedback, to build more solid self-confidence and improve the ability to accept criticism.',
+                        'It is very useful to practise separating criticism of the work from judgement of oneself, so that feedback can be received more objectively.',
+                        'It is important to see constructive criticism as a tool for growth rather than a personal attack, so that responses to it become more open.',
+                        'Finding a trusted mentor or colleague and actively discussing areas for self-development is recommended, so that receiving feedback becomes more familiar and comfortable.',
+                        'It would help to reflect on oneself regularly, so that accepting shortcomings becomes easier and more open to improvement.'
+                    ]
+                },
+                'Relasi Sosial': {
+                    teks2: [
+                        'Ability to build relationships with others.',
+                        'Has good interpersonal skills in building closeness and trust.',
+                        'Known to be sociable and able to maintain positive relationships with people from all walks of life.',
+                        'Skilled at creating a comfortable atmosphere in which others feel valued and heard.',
+                        'Shows genuine empathy in interactions, so relationships tend to last.'
+                    ],
+                    teks3: [
+                        'Feels awkward in new social situations, which hinders interaction.',
+                        'Sometimes needs more time to feel comfortable and open in unfamiliar surroundings.',
+                        'Tends to withdraw at first among new people before starting to interact.',
+                        'Needs to improve social adaptability to adjust more quickly to new environments.',
+                        'Sometimes appears to lack initiative in starting conversations with new acquaintances.'
+                    ],
+                    teks5: [
+                        'Joining social groups or communities of interest is strongly recommended, to practise interaction skills and build better relationships.',
+                        'It is advisable to actively look for opportunities to meet new people in various activities, so that awkwardness in new social situations decreases.',
+                        'It is important to make a habit of starting small conversations at meetings or events, as practice for building social confidence step by step.',
+                        'It would help to start with smaller, comfortable settings first, then gradually widen the social network to larger circles.',
+                        'Taking part in social or community activities regularly is recommended, so that skills in interacting with new people keep improving and social confidence grows.'
+                    ]
+                },
+                'Kerjasama': {
+                    teks2: [
+                        'Ability to cooperate individually or in groups.',
+                        'Able to contribute positively both in teams and individually.',
+                        'Shows a cooperative attitude that supports synergy within the group.',
+                        'Known as a reliable colleague who supports team success.',
+                        'Has a good ability to align personal interests with shared group goals.'
+                    ],
+                    teks3: [
+                        'Has difficulty adapting to different group dynamics.',
+                        'Is sometimes less flexible in adjusting working style to team members with different characters.',
+                        'Tends to feel uncomfortable in groups whose ways of working or values differ from own habits.',
+                        'Needs to improve in understanding and respecting differences in working styles among team members.',
+                        'Sometimes finds it hard to build good chemistry with a new group in a short time.'
+                    ],
+                    teks5: [
+                        'It is advisable to take part in various group activities that require collaboration, to improve adaptability to different group dynamics.',
+                        'Actively taking part in cross-team projects is strongly recommended, so that experience with different people broadens flexibility in collaboration.',
+                        'It is important to learn to understand other people’s working styles and motivations before starting to work together, so that adjustment is quicker and more harmonious.',
+                        'It would help to take the initiative to get to know new team members personally, as early interpersonal closeness makes later collaboration smoother.',
+                        'Attending teamwork training or collaboration workshops is recommended, to increase adaptability in various group dynamics.'
+                    ]
+                },
+                'Sistematika Kerja': {
+                    teks2: [
+                        'Ability to plan and prioritise work.',
+                        'Well organised in drawing up plans and setting work priorities.',
+                        'Has a structured approach so that every task can be completed efficiently.',
+                        'Known to be careful in designing clear workflows that can be followed consistently.',
+                        'Able to manage several tasks in parallel while maintaining order and focus.'
+                    ],
+                    teks3: [
+                        'Focuses too much on planning and neglects implementation.',
+                        'Tends to spend too much time in the planning phase, delaying execution.',
+                        'Sometimes gets caught up in planning perfectionism so that execution is late.',
+                        'Needs to improve the balance between depth of planning and speed of starting implementation.',
+                        'Sometimes finds it hard to leave the preparation phase and move to real action when the plan feels imperfect.'
+                    ],
+                    teks5: [
+                        'It would help to set a deadline for every implementation phase, so as not to get stuck in lengthy planning and to start execution promptly.',
+                        'It is advisable to apply the ‘good enough to start’ principle in planning, starting execution once the plan is solid enough even if not perfect.',
+                        'It is important to make a habit of setting tight deadlines for each planning stage, so that energy and time are not used up before execution begins.',
+                        'Using project management methods such as Agile or sprint planning is recommended, so that the balance between planning and execution is better maintained.',
+                        'It would help to accept that a perfect plan is not always possible, and that focused real action is far more valuable than a plan that is never executed.'
+                    ]
+                },
+                'Inisiatif': {
+                    teks2: [
+                        'Ability to take the necessary action.',
+                        'Does not wait for instructions and can independently identify the steps to take.',
+                        'Proactive in spotting opportunities and acting quickly to use them.',
+                        'Known as someone who dares to act first when the situation requires it.',
+                        'Shows the courage to take the first step without always waiting for direction from others.'
+                    ],
+                    teks3: [
+                        'Hasty decision making carries high risk.',
+                        'Sometimes acts too quickly before carefully considering the impact of decisions.',
+                        'The tendency to act immediately sometimes skips the risk analysis that should come first.',
+                        'Needs to improve in considering long-term consequences before taking risky initiatives.',
+                        'Sometimes eagerness to act quickly leads to immature decisions that need correction later.'
+                    ],
+                    teks5: [
+                        'It is advisable to always weigh the pros and cons thoroughly before deciding, to reduce the risks that may arise from hasty decisions.',
+                        'It is very important to make a habit of pausing briefly before acting, to make sure decisions take various aspects into account proportionally.',
+                        'Building the habit of briefly consulting a trusted colleague before executing a major initiative is recommended, so that risks can be mitigated early.',
+                        'It would help to learn simple risk analysis techniques that can be applied quickly, so that decisions stay bold yet measured and responsible.',
+                        'It is important to recognise that good initiative is not only about acting fast, but also about timing and mature prior consideration.'
+                    ]
+                },
+                'Kemandirian': {
+                    teks2: [
+                        'Ability to take a stand and work alone.',
+                        'Able to complete work independently without relying on constant direction.',
+                        'Shows high independence in making decisions and carrying out tasks.',
+                        'Known not to be easily influenced by external pressure and able to hold a position consistently.',
+                        'Has strong work autonomy and can be trusted to manage responsibilities fully.'
+                    ],
+                    teks3: [
+                        'Has difficulty collaborating with a team, which can affect work results.',
+                        'Is sometimes more comfortable working alone and less effective in situations that require close collaboration.',
+                        'Tends to prefer full control over the work, leaving little room for others’ contributions.',
+                        'Needs to improve in sharing roles and responsibilities so that team synergy can be maximised.',
+                        'Sometimes high independence makes it hard to accept help or delegation from colleagues.'
+                    ],
+                    teks5: [
+                        'It is very important to take part in collaborative projects that help improve teamwork skills and adaptation within a team.',
+                        'It is advisable to consciously practise trusting colleagues with certain parts of the work, so that collaboration skills develop gradually.',
+                        'It is important to understand that independence and collaboration are not opposites, but two strengths to be balanced for the best results.',
+                        'Actively taking part in brainstorming sessions or joint projects is recommended, so that the value of others’ perspectives and contributions is better appreciated.',
+                        'It would help to make a habit of actively asking for and considering colleagues’ input before finishing work independently, to produce more comprehensive output.'
+                    ]
+                }
+            },
+            minat: {
+                'OUT':       { arah_minat: 'OUTDOOR',        keterangan_minat: 'This interest involves activities in the open air and in the field, including exploring the natural environment, managing natural resources, and activities related to agriculture, marine affairs and earth sciences. Example majors: Forestry, Agrotechnology, Agribusiness, Marine Science, Geography.' },
+                'LITE':      { arah_minat: 'LITERATURE',     keterangan_minat: 'This field focuses on language skills, reading, writing, and processing information in written or spoken form. A person with this interest tends to enjoy written works, text analysis, and the dissemination and management of information. Example majors: Indonesian Literature, English Literature, Indonesian Language Education, English Language Education, Communication Studies.' },
+                'MECH':      { arah_minat: 'MECHANICAL',     keterangan_minat: 'This interest relates to machines, technology and mechanical systems. A person with this interest is drawn to how equipment works, the design of engineering systems, and the construction of physical infrastructure. Example majors: Mechanical Engineering, Industrial Engineering, Electrical Engineering, Automotive Engineering, Naval Architecture.' },
+                'MUS':       { arah_minat: 'MUSICAL',        keterangan_minat: 'An interest in music includes sensitivity to pitch, rhythm and artistic expression through sound. A person with this interest enjoys creating, playing or interpreting musical works in various forms and settings. Example majors: Music, Music Education, Performing Arts, Karawitan (traditional music), Ethnomusicology.' },
+                'COMP':      { arah_minat: 'COMPUTATIONAL',  keterangan_minat: 'This field focuses on analytical thinking and working with numbers, data and calculations systematically. A person with this interest is comfortable with quantitative logic and managing financial or statistical data. Example majors: Accounting, Statistics, Mathematics, Actuarial Science, Information Systems.' },
+                'SOS. WERV': { arah_minat: 'SOCIAL SERVICE', keterangan_minat: 'This interest relates to the wish to help, accompany and support others. A person with this interest has a strong social concern and enjoys contributing to activities with a direct impact on the community. Example majors: Psychology, Guidance and Counselling, Social Welfare, Sociology, Primary School Teacher Education (PGSD).' },
+                'ACIE':      { arah_minat: 'SCIENTIFIC',     keterangan_minat: 'An interest in science involves research, experimentation and the systematic development of knowledge. A person with this interest enjoys observing natural phenomena, testing hypotheses, and gaining new understanding through the scientific method. Example majors: Biology, Chemistry, Physics, Pharmacy, Biotechnology.' },
+                'CLER':      { arah_minat: 'CLERICAL',       keterangan_minat: 'This field focuses on structured, orderly work oriented towards managing documents, schedules and organisational administration. A person with this interest likes order, accuracy and coordination in a formal work environment. Example majors: Office Administration, Management, Business Administration, Library and Information Science, Office Management (Vocational).' },
+                'PERS':      { arah_minat: 'PERSUASIVE',     keterangan_minat: 'This interest relates to influencing, convincing and leading others towards a goal. A person with this interest is comfortable speaking in public, negotiating and building networks in business or organisations. Example majors: Management, Communication Studies, Business Administration, International Relations, Public Administration.' },
+                'PRAC':      { arah_minat: 'PRACTICAL',      keterangan_minat: 'This interest focuses on applying technical skills directly in the field. A person with this interest enjoys working with their hands, operating equipment and solving real, measurable technical problems. Example majors: Civil Engineering, Environmental Engineering, Food Technology, Agro-industrial Technology, Geological Engineering.' },
+                'AESTH':     { arah_minat: 'AESTHETIC',      keterangan_minat: 'This interest covers sensitivity to beauty, creativity and visual expression. A person with this interest enjoys creating works of aesthetic value, whether in design, fine art or other visual media. Example majors: Visual Communication Design, Interior Design, Product Design, Fine Arts, Film and Television.' },
+                'MED':       { arah_minat: 'MEDICAL',        keterangan_minat: 'This interest relates to concern for human health and the wish to contribute to medical services. A person with this interest is drawn to health sciences, diagnosis, care and disease prevention to improve people’s quality of life. Example majors: Medicine, Dentistry, Nursing, Public Health, Nutrition.' }
+            },
+            // Template per pita skor — sejajar TEKS_PITA ({aspek}/{Aspek} = nama aspek bahasa ini)
+            pita: {
+                teks2: {
+                    sangat_rendah: [
+                        'Among the existing aspects, {aspek} is the most developed, although its level is still very limited and needs guidance.',
+                        '{Aspek} is relatively better than the other aspects, but cannot yet be relied on as a strength and needs gradual practice.',
+                        'Although still far from an adequate level, {aspek} is the aspect most likely to be developed first.'
+                    ],
+                    rendah: [
+                        '{Aspek} is relatively the most developed aspect compared with the others, although it still needs to be improved.',
+                        'Compared with other aspects, {aspek} is the most reliable asset, although its level is not yet optimal.',
+                        '{Aspek} stands out more than the other aspects and can be a starting point for self-development.'
+                    ]
+                },
+                teks3: {
+                    rata_rata: [
+                        '{Aspek} is already at an adequate level, but relatively not as strong as the other aspects.',
+                        'In {aspek}, ability is sufficient for general demands but can still be optimised.',
+                        '{Aspek} works fairly well, but is not yet a strength compared with other aspects.'
+                    ],
+                    tinggi: [
+                        '{Aspek} is good; it is only slightly below the other, more prominent aspects.',
+                        'There is no significant weakness in {aspek}; it is well developed even if not the most prominent.',
+                        '{Aspek} is already good and can be maintained to stay in balance with the other strengths.'
+                    ],
+                    sangat_tinggi: [
+                        'There is no significant weakness in {aspek}; this aspect is very well developed.',
+                        '{Aspek} is very good and does not hinder daily activities.'
+                    ]
+                },
+                rekomendasi: {
+                    rata_rata: [
+                        'It is advisable to keep sharpening {aspek} through practice and challenging experiences, so that an adequate level can grow into a strength.',
+                        'It would help to give regular attention to developing {aspek}, for example by setting measurable practice targets.',
+                        'Looking for opportunities to apply {aspek} in real tasks is recommended, so that an already sufficient ability becomes sharper.'
+                    ],
+                    tinggi: [
+                        'Maintain the already good {aspek} by actively applying it in daily activities.',
+                        'It is advisable to use the already good {aspek} as support for developing other aspects.',
+                        'Keep {aspek} consistent through new challenges so that a good ability does not decline.'
+                    ],
+                    sangat_tinggi: [
+                        'Maintain the very good {aspek} and use it as a key strength.',
+                        'It is advisable to channel the very good {aspek} into roles that demand this ability.'
+                    ]
+                }
+            }
+        }
+    };
+
+    const BAHASA_DEFAULT = 'id';
+    const BAGIAN_PAKET_LOKAL = ['label', 'kategoriIQ', 'grup', 'aspek', 'teks', 'minat', 'pita'];
+    // Kamus kalimat Indonesia → bahasa lain, dibangun sekali per bahasa saat dibutuhkan
+    const cacheKamusLokal = {};
+
+    /**
+     * Daftarkan (atau lengkapi) paket bahasa:
+     *   { nama, label, kategoriIQ, grup, aspek: { kode: { nama, keterangan } },
+     *     teks: { teks1: { teks2, teks3, teks5 } }, minat: { singkatan: { arah_minat, keterangan_minat } },
+     *     pita: { teks2 | teks3 | rekomendasi: { pita: [template] } } }
+     * Versi kalimat harus sejajar indeksnya dengan teks Indonesia. Paket yang sudah
+     * ada digabung per bagian — klien cukup mengirim terjemahan aspek set miliknya.
+     */
+    function registerLokal(kode, paket) {
+        if (!kode || kode === BAHASA_DEFAULT || String(kode).includes('-')) {
+            throw new Error(`[PsikogramEngine] registerLokal: kode bahasa "${kode}" tidak boleh dipakai`);
+        }
+        if (!paket || typeof paket !== 'object') {
+            throw new Error(`[PsikogramEngine] registerLokal: paket bahasa "${kode}" harus berupa objek`);
+        }
+        const lama = paketLokal[kode] || {};
+        const baru = Object.assign({}, lama, paket);
+        BAGIAN_PAKET_LOKAL.forEach(b => { baru[b] = Object.assign({}, lama[b], paket[b]); });
+        paketLokal[kode] = baru;
+        delete cacheKamusLokal[kode];
+        lupakanSidikKonten();
+    }
+
+    // 'id' → ['id'], 'en' → ['en'], 'id-en' → ['id', 'en'] (maks. dua bahasa).
+    // Kode tanpa paket (mis. 'us' dari 'en-US') dilewati dan dicatat di
+    // tidakDikenal; bila tidak ada yang tersisa laporan memakai 'id'.
+    function pilahBahasa(bahasa) {
+        const tidakDikenal = [];
+        const daftar = String(bahasa || BAHASA_DEFAULT).toLowerCase().split('-').filter(Boolean).filter(b => {
+            const dikenal = b === BAHASA_DEFAULT || !!paketLokal[b];
+            if (!dikenal) tidakDikenal.push(b);
+            return dikenal;
+        }).slice(0, 2);
+        return { daftar: daftar.length > 0 ? daftar : [BAHASA_DEFAULT], tidakDikenal };
+    }
+
+    function uraiBahasa(bahasa) {
+        return pilahBahasa(bahasa).daftar;
+    }
+
+    // Pesan peringatan untuk kode bahasa yang dilewati pilahBahasa (null jika tidak ada)
+    function pesanBahasa(bahasa) {
+        const { daftar, tidakDikenal } = pilahBahasa(bahasa);
+        if (tidakDikenal.length === 0) return null;
+        return `Bahasa "${tidakDikenal.join('", "')}" tidak dikenal — laporan memakai "${daftar.join('-')}". ` +
+            `Tersedia: ${[BAHASA_DEFAULT, ...Object.keys(paketLokal)].join(', ')}`;
+    }
+
+    // Gabungkan label dua bahasa: "Nama / Name"; titik dua akhir hanya sekali,
+    // label yang sudah memuat terjemahannya (mis. "Strengths/Kelebihan:") dibiarkan
+    function gabungLabel(a, b) {
+        if (!b || a === b) return a;
+        const ekor = /\s*:\s*$/;
+        const titikDua = ekor.test(a) ? ':' : '';
+        const [x, y] = [a.replace(ekor, ''), b.replace(ekor, '')];
+        if (x.toLowerCase().includes(y.toLowerCase())) return a;
+        return `${x} / ${y}${titikDua}`;
+    }
+
+    /**
+     * Label halaman laporan untuk bahasa 'id' | 'en' | 'id-en' (dwibahasa).
+     * Kunci yang belum diterjemahkan paket jatuh ke label Indonesia.
+     */
+    function labelLokal(bahasa) {
+        const [utama, kedua] = uraiBahasa(bahasa);
+        const ambil = b => Object.assign({}, LABEL_ID, b === BAHASA_DEFAULT ? {} : paketLokal[b].label);
+        const labelUtama = ambil(utama);
+        if (!kedua) return labelUtama;
+        const labelKedua = ambil(kedua);
+        return Object.fromEntries(Object.keys(labelUtama).map(k => [k, gabungLabel(labelUtama[k], labelKedua[k])]));
+    }
+
+    // Kategori IQ (Wechsler) dalam bahasa laporan
+    function kategoriIQ(iq, bahasa) {
+        const [kode, , labelId] = KATEGORI_IQ.find(([, maks]) => iq <= maks) || KATEGORI_IQ[KATEGORI_IQ.length - 1];
+        const label = uraiBahasa(bahasa).map(b =>
+            b === BAHASA_DEFAULT ? labelId : (paketLokal[b].kategoriIQ || {})[kode] || labelId);
+        return label.length > 1 ? gabungLabel(label[0], label[1]) : label[0];
+    }
+
+    // Cari kode aspek dari nama Indonesia di semua set terdaftar
+    function kodeAspekDariNama(nama) {
+        const dicari = String(nama).toLowerCase();
+        for (const set of Object.values(setAspek)) {
+            const a = set.find(d => d.nama.toLowerCase() === dicari);
+            if (a) return a.kode;
+        }
+        return null;
+    }
+
+    function kamusLokal(kode) {
+        if (cacheKamusLokal[kode]) return cacheKamusLokal[kode];
+        const paket = paketLokal[kode];
+        const kalimat = new Map();
+        // paket.teks dikunci nama aspek Indonesia (= teks1 kekuatanKelemahan)
+        Object.values(setAspek).flat().forEach(def => {
+            const k = teksAspek(def);
+            const terjemahan = paket.teks[def.nama];
+            if (!k || !terjemahan) return;
+            ['teks2', 'teks3', 'teks5'].forEach(kolom => {
+                const versiLokal = [].concat(terjemahan[kolom] || []);
+                [].concat(k[kolom] || []).forEach((s, i) => { if (versiLokal[i]) kalimat.set(s, versiLokal[i]); });
+            });
+        });
+        // Template pita berisi nama aspek → pola dengan satu tangkapan
+        const templat = [];
+        Object.keys(TEKS_PITA).forEach(kolom => Object.keys(TEKS_PITA[kolom]).forEach(pita => {
+            const versiLokal = (paket.pita[kolom] && paket.pita[kolom][pita]) || [];
+            TEKS_PITA[kolom][pita].forEach((s, i) => {
+                if (!versiLokal[i]) return;
+                const pola = s.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[Aa]spek\}/g, '(.+?)');
+                templat.push([new RegExp(`^${pola}$`), versiLokal[i]]);
+            });
+        }));
+        return (cacheKamusLokal[kode] = { kalimat, templat });
+    }
+
+    // Terjemahkan satu kalimat engine; kalimat tanpa padanan dikembalikan apa adanya
+    function terjemahTeks(teks, bahasa) {
+        if (!teks || bahasa === BAHASA_DEFAULT) return teks;
+        const { kalimat, templat } = kamusLokal(bahasa);
+        if (kalimat.has(teks)) return kalimat.get(teks);
+        for (const [pola, versi] of templat) {
+            const cocok = teks.match(pola);
+            if (!cocok) continue;
+            const lokal = paketLokal[bahasa].aspek[kodeAspekDariNama(cocok[1])];
+            return isiTemplatAspek(versi, lokal ? lokal.nama : cocok[1]);
+        }
+        return teks;
+    }
+
+    /**
+     * Konten hasil hitungPsikogram dalam satu bahasa ('id' | 'en' | kode paket lain):
+     * kelebihan, kelemahan, rekomendasi, aspekPsikologis, minat (3 besar),
+     * jk & kategoriIQ. Hanya nilai bersumber engine yang diterjemahkan —
+     * teks override psikolog (x_10) tetap seperti yang ditulis.
+     */
+    function lokalisasiHasil(hasil, bahasa) {
+        const kode = uraiBahasa(bahasa)[0];
+        const paket = kode === BAHASA_DEFAULT ? null : paketLokal[kode];
+        const teks = asal => asal.sumber === 'engine' ? terjemahTeks(asal.akhir, kode) : asal.akhir;
+        const jk = normalisasiJK(hasil.identitas.jk);
+        const label = labelLokal(kode);
+        return {
+            bahasa: kode,
+            kelebihan:   hasil.provenans.kelebihan.map(teks),
+            kelemahan:   hasil.provenans.kelemahan.map(teks),
+            rekomendasi: hasil.provenans.rekomendasi.map(teks),
+            aspekPsikologis: hasil.aspekPsikologis.map((baris, i) => barisAspekLokal(baris, hasil.aspek[i] && hasil.aspek[i].kode, paket)),
+            minat: hasil.provenans.minat.map(m => {
+                const lokal = paket && paket.minat[m.singkatan];
+                return {
+                    singkatan:  m.singkatan,
+                    nama:       m.nama.sumber === 'engine' && lokal ? lokal.arah_minat : m.nama.akhir,
+                    keterangan: m.keterangan.sumber === 'engine' && lokal ? lokal.keterangan_minat : m.keterangan.akhir
+                };
+            }),
+            jk: jk === 'L' ? label.laki_laki : jk === 'P' ? label.perempuan : hasil.identitas.jk,
+            kategoriIQ: kategoriIQ(hasil.IQ, kode)
+        };
+    }
+
+    // Satu baris [grup, nama, keterangan] tabel aspek dalam bahasa paket (null = Indonesia)
+    function barisAspekLokal([grup, nama, keterangan], kodeAspek, paket) {
+        const lokal = paket && kodeAspek && paket.aspek[kodeAspek];
+        return [
+            grup && paket ? paket.grup[grup] || grup : grup,
+            lokal ? lokal.nama : nama,
+            lokal ? lokal.keterangan : keterangan
+        ];
+    }
+
+    /**
+     * Seperti lokalisasiHasil, untuk laporan yang dibaca dari baris rekap
+     * (index_final*) tanpa menghitung ulang. Teks tersimpan diterjemahkan bila
+     * sama dengan kalimat / minat engine; teks tulisan psikolog dibiarkan.
+     * rekap: { jk, IQ, kelebihan, kelemahan, rekomendasi, minat: [{ singkatan, nama, keterangan }], setAspek }
+     * → { bahasa, label, jk, kategoriIQ, aspekPsikologis, kelebihan, kelemahan,
+     *     rekomendasi, minat, terjemahan (bahasa kedua atau null), peringatan }
+     */
+    function lokalisasiRekap(rekap, bahasa) {
+        const [utama, kedua] = uraiBahasa(bahasa);
+        const satuBahasa = kode => {
+            const paket = kode === BAHASA_DEFAULT ? null : paketLokal[kode];
+            const label = labelLokal(kode);
+            const definisi = getSetAspek(rekap.setAspek);
+            const jk = normalisasiJK(rekap.jk);
+            const teks = daftar => (daftar || []).map(t => terjemahTeks(t, kode));
+            return {
+                bahasa: kode,
+                kelebihan:   teks(rekap.kelebihan),
+                kelemahan:   teks(rekap.kelemahan),
+                rekomendasi: teks(rekap.rekomendasi),
+                aspekPsikologis: keAspekPsikologis(definisi).map((baris, i) => barisAspekLokal(baris, definisi[i].kode, paket)),
+                minat: (rekap.minat || []).filter(Boolean).map(m => {
+                    const asli  = minatData.find(d => d.singkatan === m.singkatan) || {};
+                    const lokal = paket && paket.minat[m.singkatan];
+                    return {
+                        singkatan:  m.singkatan,
+                        nama:       lokal && m.nama === asli.arah_minat ? lokal.arah_minat : m.nama,
+                        keterangan: lokal && m.keterangan === asli.keterangan_minat ? lokal.keterangan_minat : m.keterangan
+                    };
+                }),
+                jk: jk === 'L' ? label.laki_laki : jk === 'P' ? label.perempuan : rekap.jk,
+                kategoriIQ: kategoriIQ(rekap.IQ, kode)
+            };
+        };
+        return Object.assign(satuBahasa(utama), {
+            bahasa:      kedua ? `${utama}-${kedua}` : utama,
+            label:       labelLokal(bahasa),
+            terjemahan:  kedua ? satuBahasa(kedua) : null,
+            peringatan:  pesanBahasa(bahasa)
+        });
+    }
+
+    // =========================================================
+    // NARASI KEMAMPUAN KOGNITIF
+    // Paragraf keterangan (x_12) dari skor aspek KEMAMPUAN & IQ: kalimat
+    // pembuka → satu kalimat per aspek sesuai kategori K/C/B/BS → penutup IQ.
+    // Versi kalimat dipilih dengan seeded random per peserta (aliran terpisah
+    // dari teks kelebihan), sehingga narasi sama untuk peserta & data yang sama
+    // — di editor, transfer, maupun batch. opsi.varian memberi susunan lain
+    // yang tetap dapat diulang (tombol Regenerate).
+    // =========================================================
+
+    const TEMPLATE_NARASI = {
+        kemampuan_umum: {
+            K:  ["Kemampuan umum yang dimiliki masih perlu ditingkatkan, terutama dalam memecahkan masalah sehari-hari secara efektif.",
+                 "Kemampuan umum peserta masih berada pada taraf yang membutuhkan pengembangan lebih lanjut.",
+                 "Secara umum, kemampuan kognitif dasar peserta masih memerlukan bimbingan dan latihan yang konsisten."],
+            C:  ["Kemampuan umum peserta cukup memadai untuk menangani tugas-tugas yang bersifat rutin.",
+                 "Kemampuan umum yang dimiliki sudah cukup untuk bekerja dalam situasi yang terstruktur dengan baik.",
+                 "Peserta memiliki kemampuan umum yang cukup, meski masih memerlukan arahan dalam situasi yang lebih kompleks."],
+            B:  ["Kemampuan umum peserta tergolong baik, mampu menemukan solusi untuk berbagai permasalahan dengan cukup efektif.",
+                 "Peserta menunjukkan kemampuan umum yang baik dalam memahami dan menyelesaikan berbagai persoalan.",
+                 "Kemampuan umum yang dimiliki peserta berada pada level baik, mendukung produktivitas kerja sehari-hari."],
+            BS: ["Kemampuan umum peserta sangat baik, mencerminkan kapasitas kognitif yang tinggi dalam memecahkan masalah secara efektif.",
+                 "Peserta memiliki kemampuan umum yang sangat menonjol, mampu menghadapi tantangan intelektual dengan sangat baik.",
+                 "Kemampuan umum yang dimiliki berada pada level sangat baik, menjadi fondasi kuat dalam berbagai situasi kerja."]
+        },
+        daya_tangkap_visual: {
+            K:  ["Daya tangkap visual peserta masih terbatas, membutuhkan waktu lebih lama untuk mengenali pola dan perbedaan visual.",
+                 "Kemampuan menangkap informasi secara visual masih perlu dilatih dan dikembangkan.",
+                 "Peserta masih memerlukan peningkatan dalam kemampuan memproses informasi yang bersifat visual."],
+            C:  ["Daya tangkap visual peserta cukup memadai untuk kebutuhan kerja yang tidak terlalu menuntut kecepatan persepsi.",
+                 "Kemampuan visual peserta cukup dalam mengenali pola-pola dasar di lingkungan sekitarnya.",
+                 "Peserta memiliki daya tangkap visual yang cukup, meskipun masih perlu berlatih untuk situasi yang lebih detail."],
+            B:  ["Daya tangkap visual peserta baik, mampu mengenali pola dan perbedaan di lingkungan secara cepat dan tepat.",
+                 "Peserta memiliki kemampuan visual yang baik dalam mengidentifikasi detail dan perbedaan secara akurat.",
+                 "Kemampuan persepsi visual peserta tergolong baik, mendukung pekerjaan yang memerlukan ketelitian visual."],
+            BS: ["Daya tangkap visual peserta sangat baik, dengan kecepatan dan ketepatan tinggi dalam mengenali pola kompleks.",
+                 "Peserta unggul dalam kemampuan visual, mampu memproses informasi visual secara sangat cepat dan akurat.",
+                 "Daya tangkap visual yang sangat baik menjadikan peserta sangat efektif dalam pekerjaan yang mengandalkan persepsi visual."]
+        },
+        kemampuan_berpikir_logis: {
+            K:  ["Kemampuan berpikir logis peserta masih perlu dikembangkan, terutama dalam menyusun alasan yang sistematis.",
+                 "Peserta masih memerlukan peningkatan dalam membuat keputusan berdasarkan alur berpikir yang logis.",
+                 "Kemampuan logika peserta masih terbatas dan membutuhkan latihan dalam penalaran sebab-akibat."],
+            C:  ["Kemampuan berpikir logis peserta cukup, mampu membuat keputusan sederhana berdasarkan alasan yang jelas.",
+                 "Peserta memiliki kemampuan logis yang cukup untuk menyelesaikan masalah-masalah yang bersifat terstruktur.",
+                 "Logika berpikir peserta cukup memadai dalam situasi kerja yang tidak terlalu kompleks."],
+            B:  ["Kemampuan berpikir logis peserta baik, mampu membuat keputusan berdasarkan alasan yang jelas dalam berbagai situasi.",
+                 "Peserta menunjukkan kemampuan berpikir logis yang baik dalam menganalisis situasi dan menentukan tindakan yang tepat.",
+                 "Daya pikir logis peserta tergolong baik, mendukung pengambilan keputusan yang rasional dan terarah."],
+            BS: ["Kemampuan berpikir logis peserta sangat baik, mencerminkan kualitas penalaran yang tajam dan sistematis.",
+                 "Peserta memiliki kemampuan logika yang sangat tinggi, mampu mengurai masalah kompleks dengan terstruktur.",
+                 "Berpikir logis adalah kekuatan utama peserta, dengan kemampuan analisis sebab-akibat yang sangat menonjol."]
+        },
+        kemampuan_berpikir_abstrak: {
+            K:  ["Kemampuan berpikir abstrak peserta masih perlu ditingkatkan, terutama dalam memahami konsep yang tidak tampak secara langsung.",
+                 "Peserta memerlukan pengembangan dalam kemampuan melihat hubungan antar hal yang bersifat abstrak.",
+                 "Kemampuan abstraksi peserta masih terbatas dan memerlukan dukungan dalam memahami konsep-konsep kompleks."],
+            C:  ["Kemampuan berpikir abstrak peserta cukup, mampu memahami konsep-konsep dasar meskipun kadang perlu penjelasan tambahan.",
+                 "Peserta memiliki kemampuan abstrak yang cukup untuk mengikuti arahan yang bersifat konseptual.",
+                 "Kemampuan abstraksi peserta cukup memadai dalam situasi kerja yang tidak terlalu menuntut pemikiran tingkat tinggi."],
+            B:  ["Kemampuan berpikir abstrak peserta baik, mampu melihat hubungan antar berbagai hal dan memahami konsekuensi tindakan.",
+                 "Peserta menunjukkan kemampuan abstrak yang baik dalam memahami pola dan hubungan konseptual.",
+                 "Daya abstraksi peserta tergolong baik, mendukung kemampuan berinovasi dan berpikir kreatif."],
+            BS: ["Kemampuan berpikir abstrak peserta sangat baik, mencerminkan kapasitas intelektual yang tinggi dalam penalaran konseptual.",
+                 "Peserta sangat unggul dalam berpikir abstrak, mampu menghubungkan konsep-konsep kompleks dengan mudah.",
+                 "Kemampuan abstraksi yang sangat baik menjadikan peserta sangat adaptif dalam lingkungan yang dinamis dan kompleks."]
+        },
+        penalaran_verbal: {
+            K:  ["Penalaran verbal peserta masih terbatas, memerlukan peningkatan dalam berkomunikasi dan memahami instruksi lisan maupun tulisan.",
+                 "Kemampuan verbal peserta perlu dikembangkan agar dapat berkomunikasi dengan lebih efektif.",
+                 "Peserta masih membutuhkan latihan dalam mengolah dan menyampaikan informasi secara verbal."],
+            C:  ["Penalaran verbal peserta cukup, mampu berkomunikasi dengan cukup jelas dalam interaksi sehari-hari.",
+                 "Kemampuan verbal peserta cukup memadai untuk kebutuhan komunikasi di lingkungan kerja yang terstruktur.",
+                 "Peserta memiliki penalaran verbal yang cukup dalam memahami dan menyampaikan informasi secara lisan."],
+            B:  ["Penalaran verbal peserta baik, mampu berkomunikasi dengan jelas dan efektif dalam berbagai interaksi.",
+                 "Peserta menunjukkan kemampuan verbal yang baik dalam memahami dan menyampaikan pesan secara tepat.",
+                 "Kemampuan penalaran verbal peserta tergolong baik, menjadi aset penting dalam komunikasi tim dan presentasi."],
+            BS: ["Penalaran verbal peserta sangat baik, mencerminkan kemampuan komunikasi yang fasih dan efektif.",
+                 "Peserta sangat unggul dalam penalaran verbal, mampu menyampaikan ide kompleks dengan jelas dan terstruktur.",
+                 "Kemampuan verbal yang sangat baik menjadikan peserta komunikator yang handal dalam lingkungan profesional."]
+        },
+        penalaran_numerik: {
+            K:  ["Penalaran numerik peserta masih perlu ditingkatkan, terutama dalam memahami proses hitung dan berpikir kuantitatif.",
+                 "Kemampuan numerik peserta masih terbatas dan memerlukan latihan dalam pengolahan angka.",
+                 "Peserta memerlukan pengembangan dalam kemampuan berhitung dan bernalar secara kuantitatif."],
+            C:  ["Penalaran numerik peserta cukup, mampu melakukan perhitungan dasar yang diperlukan dalam pekerjaan sehari-hari.",
+                 "Kemampuan numerik peserta cukup memadai untuk tugas-tugas yang memerlukan kalkulasi sederhana.",
+                 "Peserta memiliki penalaran numerik yang cukup untuk mengikuti instruksi yang bersifat angka dan data."],
+            B:  ["Penalaran numerik peserta baik, mampu memahami proses hitung dan berpikir secara teratur dan kuantitatif.",
+                 "Peserta menunjukkan kemampuan numerik yang baik dalam mengolah data dan melakukan analisis angka.",
+                 "Kemampuan numerik yang baik mendukung peserta dalam pekerjaan yang memerlukan akurasi perhitungan."],
+            BS: ["Penalaran numerik peserta sangat baik, mencerminkan kemampuan analisis kuantitatif yang tinggi.",
+                 "Peserta sangat unggul dalam penalaran numerik, mampu mengolah data angka dengan cepat dan akurat.",
+                 "Kemampuan numerik yang sangat baik menjadikan peserta sangat andal dalam pekerjaan yang menuntut presisi matematis."]
+        }
+    };
+
+    function kalimatPembuka(nama, rand) {
+        return pilihVersi([
+            `Berdasarkan hasil pemeriksaan psikologis yang telah dilakukan, ${nama} menunjukkan profil kemampuan kognitif sebagai berikut.`,
+            `Hasil pemeriksaan psikologis terhadap ${nama} mengungkapkan gambaran kemampuan kognitif yang dapat diuraikan sebagai berikut.`,
+            `Pemeriksaan psikologis yang dilakukan terhadap ${nama} memberikan gambaran mengenai kapasitas kognitif yang dimilikinya.`
+        ], rand);
+    }
+
+    function kalimatPenutup(nama, iq, rand) {
+        const kategori = kategoriIQ(iq);
+        return pilihVersi([
+            `Secara keseluruhan, taraf kecerdasan umum (IQ) ${nama} berada pada kategori ${kategori} dengan skor ${iq}, yang mencerminkan potensi intelektual yang ${iq >= 110 ? 'di atas rata-rata' : iq >= 90 ? 'cukup memadai' : 'perlu mendapat perhatian lebih lanjut'}.`,
+            `Dari sisi kecerdasan umum, skor IQ sebesar ${iq} menempatkan ${nama} pada kategori ${kategori}, mengindikasikan kapasitas intelektual yang ${iq >= 110 ? 'mumpuni' : iq >= 90 ? 'berada dalam rentang normal' : 'masih memerlukan pengembangan'}.`,
+            `Adapun taraf kecerdasan umum (IQ = ${iq}) berada pada kategori ${kategori}, yang ${iq >= 110 ? 'menunjukkan kemampuan intelektual yang unggul' : iq >= 90 ? 'menunjukkan kemampuan intelektual yang memadai' : 'menunjukkan perlunya dukungan khusus dalam pengembangan kognitif'}.`
+        ], rand);
+    }
+
+    // Hasil hitungPsikogram → data narasi persis seperti x_02, x_03..x_05 & x_13 di rekap,
+    // agar narasi saat transfer sama dengan narasi Generate di editor
+    function dataNarasi(data) {
+        if (!Array.isArray(data.resultScores)) return data;
+        const skor = {};
+        data.aspek.forEach((a, i) => { skor[a.kode] = data.resultScores[i]; });
+        return {
+            nama: data.identitas.nama,
+            jk:   data.identitas.jk,
+            IQ:   data.IQ,
+            skor,
+            epps: data.profilEPPS ? data.profilEPPS.map(({ kode, skala }) => ({ kode, skala })) : [],
+            validitasEPPS: data.validitasEPPS ? data.validitasEPPS.status : null
+        };
+    }
+
+    function narasiKemampuan(data, rand) {
+        const namaPeserta = data.nama || 'Peserta';
+        const iq = parseInt(data.IQ) || 0;
+        const bagian = [kalimatPembuka(namaPeserta, rand)];
+        ASPEK_STANDAR.filter(a => a.grup === 'KEMAMPUAN').forEach(({ kode }) => {
+            const nilai = parseInt(data.skor && data.skor[kode]);
+            const pool = TEMPLATE_NARASI[kode];
+            if (!nilai || !pool) return;
+            bagian.push(pilihVersi(pool[kategoriSkala(nilai).kode], rand));
+        });
+        if (iq > 0) bagian.push(kalimatPenutup(namaPeserta, iq, rand));
+        return bagian.join(' ');
+    }
+
+    // =========================================================
+    // NARASI KEPRIBADIAN & SIKAP KERJA
+    // Paragraf dari skor aspek KEPRIBADIAN (x_04) / SIKAP KERJA (x_05) dan
+    // profil 15 kebutuhan EPPS (x_13): yang menonjol (skala ≥ 7) dikontraskan
+    // dengan yang rendah (≤ 4). Sapaan mengikuti jk (Saudara / Saudari).
+    // Frasa ditulis tanpa subjek agar bisa dirangkai: "{subjek} {frasa} dan {frasa}".
+    // Kebutuhan Heterosexuality tidak dinarasikan di laporan.
+    // =========================================================
+
+    const TEMPLATE_NARASI_SIFAT = {
+        hasrat_berprestasi: {
+            tinggi: ["memiliki dorongan yang kuat untuk berprestasi dan terus meningkatkan kualitas kerjanya",
+                     "terpacu untuk mencapai hasil terbaik dalam setiap tugas yang dijalani"],
+            sedang: ["memiliki dorongan berprestasi yang cukup untuk memenuhi target kerja",
+                     "cukup termotivasi menyelesaikan tugas sesuai standar yang diharapkan"],
+            rendah: ["masih perlu menumbuhkan dorongan untuk berprestasi",
+                     "cenderung merasa cukup dengan hasil yang memenuhi standar minimal"]
+        },
+        daya_tahan_stress: {
+            tinggi: ["mampu tetap tenang dan produktif ketika berada di bawah tekanan",
+                     "memiliki ketahanan yang baik dalam menghadapi beban kerja yang berat"],
+            sedang: ["cukup mampu menjaga kinerja ketika menghadapi tekanan sehari-hari",
+                     "dapat mengelola tekanan kerja yang wajar dengan cukup baik"],
+            rendah: ["mudah merasa terbebani ketika tekanan kerja meningkat",
+                     "memerlukan dukungan untuk menjaga kinerja dalam situasi yang menekan"]
+        },
+        kepercayaan_diri: {
+            tinggi: ["yakin akan kemampuannya dan berani tampil menyampaikan pendapat",
+                     "menunjukkan rasa percaya diri yang kuat dalam bersikap dan bertindak"],
+            sedang: ["cukup yakin akan kemampuannya dalam situasi yang sudah dikenal",
+                     "menampilkan kepercayaan diri yang cukup ketika berinteraksi"],
+            rendah: ["masih ragu untuk menonjolkan diri dan menyampaikan pendapat",
+                     "cenderung kurang yakin akan kemampuan yang dimilikinya"]
+        },
+        relasi_sosial: {
+            tinggi: ["mudah bergaul dan menjalin hubungan yang hangat dengan orang lain",
+                     "senang berada di tengah kelompok dan menjaga hubungan baik dengan berbagai kalangan"],
+            sedang: ["cukup mampu membina hubungan dengan orang-orang di sekitarnya",
+                     "dapat bergaul dengan wajar di lingkungan yang sudah dikenal"],
+            rendah: ["cenderung membatasi pergaulan dan membutuhkan waktu untuk akrab dengan orang baru",
+                     "kurang aktif dalam membangun hubungan sosial"]
+        },
+        kerjasama: {
+            tinggi: ["mudah menyesuaikan diri dengan arahan dan bekerja sama dalam tim",
+                     "bersikap kooperatif serta menghargai arahan atasan maupun rekan kerja"],
+            sedang: ["cukup mampu bekerja sama dalam kelompok",
+                     "dapat mengikuti arahan dan berkontribusi dalam kerja tim secara wajar"],
+            rendah: ["lebih nyaman mengikuti cara sendiri daripada arahan orang lain",
+                     "masih perlu belajar menyesuaikan diri dalam kerja tim"]
+        },
+        sistematika_kerja: {
+            tinggi: ["bekerja secara teratur dengan perencanaan dan prioritas yang jelas",
+                     "terbiasa menyusun langkah kerja secara rapi dan sistematis"],
+            sedang: ["cukup teratur dalam merencanakan dan menyelesaikan pekerjaan",
+                     "dapat menyusun prioritas kerja dengan cukup baik pada tugas rutin"],
+            rendah: ["cenderung bekerja tanpa perencanaan yang matang",
+                     "masih perlu membiasakan diri menyusun prioritas dan jadwal kerja"]
+        },
+        inisiatif: {
+            tinggi: ["proaktif mengambil langkah tanpa harus menunggu instruksi",
+                     "sigap bertindak ketika situasi membutuhkan"],
+            sedang: ["cukup mampu mengambil tindakan pada situasi yang sudah jelas",
+                     "sesekali mengambil inisiatif, terutama pada tugas yang sudah dikuasai"],
+            rendah: ["cenderung menunggu arahan sebelum bertindak",
+                     "masih jarang mengambil langkah atas prakarsa sendiri"]
+        },
+        kemandirian: {
+            tinggi: ["mampu bekerja secara mandiri dan teguh pada pendiriannya",
+                     "dapat dipercaya menyelesaikan tugas tanpa banyak pengawasan"],
+            sedang: ["cukup mandiri dalam menyelesaikan tugas yang sudah jelas",
+                     "dapat bekerja sendiri meski sesekali masih membutuhkan arahan"],
+            rendah: ["masih bergantung pada arahan dan dukungan orang lain",
+                     "kurang leluasa bila harus mengambil sikap dan bekerja sendiri"]
+        }
+    };
+
+    // [frasa kebutuhan tinggi, frasa kebutuhan rendah]
+    const FRASA_KEBUTUHAN_EPPS = {
+        ach: ["terdorong menyelesaikan tugas sebaik mungkin", "kurang terdorong untuk bersaing mencapai hasil terbaik"],
+        def: ["menghormati aturan serta arahan otoritas", "kurang suka diatur dan mengikuti arahan orang lain"],
+        ord: ["menyukai keteraturan dan perencanaan", "kurang memperhatikan keteraturan dan perencanaan"],
+        exh: ["senang tampil dan menjadi pusat perhatian", "lebih suka tidak menonjolkan diri"],
+        aut: ["ingin bertindak bebas sesuai keputusannya sendiri", "nyaman bekerja dalam aturan dan pengawasan"],
+        aff: ["senang bersahabat dan berada dalam kelompok", "tidak terlalu membutuhkan kebersamaan dengan kelompok"],
+        int: ["peka memahami perasaan dan motif orang lain", "kurang memperhatikan perasaan dan motif di balik perilaku"],
+        suc: ["mengharapkan dukungan dan perhatian dari orang lain", "jarang mengandalkan bantuan orang lain"],
+        dom: ["ingin memimpin dan mempengaruhi orang lain", "lebih nyaman berperan sebagai anggota daripada pemimpin"],
+        aba: ["mudah merasa bersalah dan merendah ketika keliru", "tidak mudah menyalahkan diri sendiri"],
+        nur: ["senang menolong dan memperhatikan orang lain", "tidak terlalu terdorong untuk mengurus kebutuhan orang lain"],
+        chg: ["menyukai variasi dan hal-hal baru", "lebih nyaman dengan rutinitas yang sudah dikenal"],
+        end: ["tekun menyelesaikan tugas sampai tuntas", "mudah beralih sebelum tugas selesai"],
+        agg: ["mudah mengkritik dan menentang pendapat orang lain", "cenderung menghindari konfrontasi"]
+    };
+
+    // Bagian narasi: grup aspek, kebutuhan EPPS yang relevan & kalimat pembuka
+    const BAGIAN_NARASI = {
+        kepribadian: {
+            grup: 'KEPRIBADIAN',
+            kebutuhan: ['ach', 'exh', 'aff', 'int', 'suc', 'aba', 'nur', 'agg', 'def'],
+            pembuka: ['Dari sisi kepribadian,', 'Ditinjau dari kepribadiannya,', 'Dalam aspek kepribadian,']
+        },
+        sikap_kerja: {
+            grup: 'SIKAP KERJA',
+            kebutuhan: ['ord', 'end', 'chg', 'aut', 'dom'],
+            pembuka: ['Dalam bekerja,', 'Dari sisi sikap kerja,', 'Terkait sikap kerjanya,']
+        }
+    };
+
+    // ['a', 'b'] → 'a dan b'; frasa (yang sering sudah memuat "dan") → 'a, serta b'
+    function daftarKalimat(arr, penghubung) {
+        if (arr.length <= 1) return arr[0] || '';
+        const sambung = penghubung || 'dan';
+        const pisah = sambung === 'serta' ? ', ' : ' ';
+        return `${arr.slice(0, -1).join(', ')}${pisah}${sambung} ${arr[arr.length - 1]}`;
+    }
+
+    const kapital = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+    /**
+     * Paragraf kepribadian / sikap kerja. Aspek: kalimat 1 = yang menonjol
+     * (atau taraf cukup bila tidak ada), kalimat 2 = kontras dengan yang rendah.
+     * Kebutuhan EPPS yang relevan menambah satu kalimat dengan kontras serupa.
+     * EPPS tidak valid → paragraf ditutup dengan catatan konfirmasi.
+     */
+    function narasiSifat(bagian, data, rand) {
+        const { grup, kebutuhan, pembuka } = BAGIAN_NARASI[bagian];
+        const sapaan = { L: 'Saudara', P: 'Saudari' }[normalisasiJK(data.jk)] || null;
+        const nama = data.nama || 'Peserta';
+        const subjek = sapaan ? `${sapaan} ${nama}` : nama;
+        const ia = () => sapaan ? pilihVersi(['ia', sapaan], rand) : 'ia';
+
+        const aspek = ASPEK_STANDAR
+            .filter(a => a.grup === grup && TEMPLATE_NARASI_SIFAT[a.kode])
+            .map(a => ({ kode: a.kode, skor: parseInt(data.skor && data.skor[a.kode]) || 0 }))
+            .filter(a => a.skor > 0);
+        if (aspek.length === 0) return '';
+        const frasa = (list, pita) => daftarKalimat(list.slice(0, 2).map(a => pilihVersi(TEMPLATE_NARASI_SIFAT[a.kode][pita], rand)), 'serta');
+        const tinggi = aspek.filter(a => a.skor >= 7).sort((a, b) => b.skor - a.skor);
+        const rendah = aspek.filter(a => a.skor <= 4).sort((a, b) => a.skor - b.skor);
+        const sedang = aspek.filter(a => a.skor > 4 && a.skor < 7);
+
+        const kalimat = [];
+        const awal = pilihVersi(pembuka, rand);
+        if (tinggi.length > 0) {
+            kalimat.push(`${awal} ${subjek} ${frasa(tinggi, 'tinggi')}.`);
+            if (rendah.length > 0) {
+                kalimat.push(`${pilihVersi(['Namun,', 'Sebaliknya,', 'Di sisi lain,'], rand)} ${ia()} ${frasa(rendah, 'rendah')}.`);
+            } else if (sedang.length > 0) {
+                kalimat.push(`${kapital(ia())} juga ${frasa(sedang, 'sedang')}.`);
+            }
+        } else if (sedang.length > 0) {
+            kalimat.push(`${awal} ${subjek} ${frasa(sedang, 'sedang')}.`);
+            if (rendah.length > 0) {
+                kalimat.push(`${pilihVersi(['Namun,', 'Meski demikian,'], rand)} ${ia()} ${frasa(rendah, 'rendah')}.`);
+            }
+        } else {
+            kalimat.push(`${awal} ${subjek} ${frasa(rendah, 'rendah')}.`);
+        }
+
+        // Kebutuhan EPPS (tanpa 'het'): 2 tertinggi ≥ 7 dikontraskan dengan 1 terendah ≤ 4
+        const valid = data.validitasEPPS !== 'tidak_valid';
+        const namaKebutuhan = Object.fromEntries(EPPS_KEBUTUHAN.map(([kode, nama]) => [kode, nama]));
+        const needs = (data.epps || []).filter(n => kebutuhan.includes(n.kode) && n.skala > 0);
+        const needTinggi = needs.filter(n => n.skala >= 7).sort((a, b) => b.skala - a.skala).slice(0, 2);
+        const needRendah = needs.filter(n => n.skala <= 4).sort((a, b) => a.skala - b.skala).slice(0, 1);
+        if (valid && needTinggi.length > 0) {
+            const nama2 = daftarKalimat(needTinggi.map(n => namaKebutuhan[n.kode]));
+            const isi   = daftarKalimat(needTinggi.map(n => FRASA_KEBUTUHAN_EPPS[n.kode][0]), 'serta');
+            let k = pilihVersi([
+                `Profil kebutuhannya menonjol pada ${nama2}, sehingga ${ia()} ${isi}`,
+                `Kebutuhan ${nama2} tampak tinggi; ${ia()} ${isi}`
+            ], rand);
+            if (needRendah.length > 0) {
+                const n = needRendah[0];
+                k += `, sedangkan kebutuhan ${namaKebutuhan[n.kode]} tergolong rendah sehingga ${ia()} ${FRASA_KEBUTUHAN_EPPS[n.kode][1]}`;
+            }
+            kalimat.push(`${k}.`);
+        } else if (valid && needRendah.length > 0) {
+            const n = needRendah[0];
+            kalimat.push(`Kebutuhan ${namaKebutuhan[n.kode]} tergolong rendah, sehingga ${ia()} ${FRASA_KEBUTUHAN_EPPS[n.kode][1]}.`);
+        }
+        if (!valid) {
+            kalimat.push('Gambaran ini perlu dikonfirmasi melalui wawancara karena konsistensi pengisian EPPS rendah.');
+        }
+        return kalimat.join(' ');
+    }
+
+    // Seed per bagian narasi — aliran terpisah agar tiap paragraf stabil sendiri-sendiri
+    const SEED_NARASI = { kemampuan: 0x5EED0A11, kepribadian: 0x5EED0B22, sikap_kerja: 0x5EED0C33 };
+
+    /**
+     * Narasi keterangan psikologis untuk satu peserta.
+     * data  : { nama, jk, IQ, skor: { kode_aspek: 1–10 }, epps: [{ kode, skala }], validitasEPPS }
+     *         — mis. biodata x_02, skor x_03..x_05 & kebutuhan x_13 rekap —
+     *         atau langsung hasil hitungPsikogram
+     * id_x  : id peserta untuk seed (pakai id sumber agar sama dengan teks kelebihan)
+     * opsi  : { bagian, varian }
+     *   bagian : 'kemampuan' (default) | 'kepribadian' | 'sikap_kerja' | array —
+     *            beberapa bagian digabung sebagai paragraf terpisah ('\n\n')
+     *   varian : 0 (default) = narasi baku; angka lain = variasi kalimat lain
+     * Aspek tanpa skor (kosong / 0) dilewati; kalimat penutup IQ hanya bila IQ > 0.
+     */
+    function generateNarasi(data, id_x, opsi) {
+        opsi = opsi || {};
+        const isi = dataNarasi(data || {});
+        const varian = (parseInt(opsi.varian) || 0) * 0x61C88647;
+        return [].concat(opsi.bagian || 'kemampuan').map(bagian => {
+            if (!SEED_NARASI[bagian]) {
+                throw new Error(`[PsikogramEngine] Bagian narasi "${bagian}" tidak dikenal. Tersedia: ${Object.keys(SEED_NARASI).join(', ')}`);
+            }
+            const rand = makeSeededRand((seedFromId(id_x) ^ SEED_NARASI[bagian]) + varian);
+            return bagian === 'kemampuan' ? narasiKemampuan(isi, rand) : narasiSifat(bagian, isi, rand);
+        }).filter(Boolean).join('\n\n');
+    }
+
+    // =========================================================
+    // JEJAK SKOR (opsi.jejak)
+    // Menjawab "mengapa Kerjasama = 4?": per aspek dicatat masukan mentah
+    // (mis. jumlah A butir def_r & B butir def_c), baris tabel WS yang kena,
+    // nilai gabungan, batas norma skala 1–10 yang dipakai dan override x_10.
+    // hasil.jejak[i] sejajar hasil.aspek[i]; uraiJejak() menjadikannya kalimat.
+    // =========================================================
+
+    // Batas bawah baris tabel WS yang dipakai getWS; null = skor di bawah tabel
+    function barisWS(ss, m) {
+        const kunci = Object.keys(m || {}).map(Number).sort((a, b) => b - a).find(k => ss >= k);
+        return kunci === undefined ? null : kunci;
+    }
+
+    // Rentang kriteria skala yang mengenai nilai: bawah < nilai ≤ atas (null = terbuka)
+    function batasKriteria(nilai, kriteria) {
+        const i = kriteria.findIndex(([batas]) => nilai <= batas);
+        if (i === -1) return { bawah: kriteria[kriteria.length - 1][0], atas: null, skala: 10 };
+        return {
+            bawah: i > 0 ? kriteria[i - 1][0] : null,
+            atas:  kriteria[i][0] === Infinity ? null : kriteria[i][0],
+            skala: kriteria[i][1]
+        };
+    }
+
+    // Asal satu variabel sumber aspek (IQ, CFITn, TKDn, kebutuhan EPPS, IST_xx)
+    function jejakVariabel(v, k) {
+        if (v === 'IQ') {
+            switch (k.sumberKemampuanUmum) {
+                case 'manual': return { subtes: 'manual', nilaiEngine: k.iqHitung };
+                case 'apm':    return { subtes: 'apm', raw: k.apm.set2, persentil: k.apm.persentil, norma: k.apm.norma.kode };
+                case 'ist':    return { subtes: 'ist', raw: k.ist.rwTotal, sw: k.ist.swTotal, norma: k.ist.norma.kode };
+                default:       return { subtes: 'cfit', raw: k.skorCFIT, kolomUsia: k.kolomCFIT.kode };
+            }
+        }
+        const subtes = SUBTES_VARIABEL[v];
+        if (subtes === 'epps') {
+            const kebutuhan = v.toLowerCase();
+            const tabelWS = kebutuhan === 'aut' ? 'OUT_s' : `${v}_s`;
+            const raw = k.epps.raw[kebutuhan];
+            return {
+                subtes, kebutuhan,
+                jumlahA: k.epps.rincian[kebutuhan].r,
+                jumlahB: k.epps.rincian[kebutuhan].c,
+                raw, tabelWS,
+                barisWS: barisWS(raw, normaEPPS[k.kodeNormaEPPS].tabel[tabelWS]),
+                norma: k.kodeNormaEPPS
+            };
+        }
+        if (subtes === 'ist') {
+            const t = k.ist.subtes.find(t => 'IST_' + t.singkatan === v);
+            return { subtes, raw: t.rw, sw: t.sw, norma: k.ist.norma.kode };
+        }
+        // CFIT1..CFIT4, TKD3, TKD6 — skor mentah dipakai apa adanya
+        return { subtes };
+    }
+
+    function jejakSkor(aspek, resultScores, skorOverride, konteks) {
+        return aspek.map((a, i) => {
+            const { bobot, kriteria } = a.rumus;
+            const masukan = Object.keys(bobot).map(v => Object.assign(
+                { variabel: v, bobot: bobot[v], nilai: konteks.variabel[v] }, jejakVariabel(v, konteks)));
+            const totalBobot = masukan.reduce((t, m) => t + m.bobot, 0);
+            const nilai = masukan.reduce((t, m) => t + m.nilai * m.bobot, 0) / totalBobot;
+            return {
+                kode: a.kode,
+                nama: a.nama,
+                grup: a.grup,
+                tersedia: a.tersedia,
+                masukan,
+                nilai,
+                norma: a.norma,
+                batas: batasKriteria(nilai, kriteria),
+                skorEngine: a.skor,
+                override: skorOverride[i],
+                skor: resultScores[i]
+            };
+        });
+    }
+
+    // 13 → '13', 107.5 → '107,5'
+    function angkaJejak(n) {
+        return Number.isInteger(n) ? String(n) : String(Math.round(n * 100) / 100).replace('.', ',');
+    }
+
+    function uraiMasukan(m) {
+        const bobot = m.bobot !== 1 ? ` (bobot ${angkaJejak(m.bobot)})` : '';
+        switch (m.subtes) {
+            case 'epps': {
+                const baris = m.barisWS === null ? 'di bawah tabel' : `baris ≥ ${m.barisWS}`;
+                return `${m.variabel}: ${m.jumlahA} jawaban A (butir ${m.kebutuhan}_r) + ${m.jumlahB} jawaban B (butir ${m.kebutuhan}_c) ` +
+                    `= skor mentah ${m.raw} → WS ${m.nilai} (tabel ${m.tabelWS} ${baris}, norma EPPS ${m.norma})${bobot}`;
+            }
+            case 'manual':
+                return `IQ: ${m.nilai} diisi manual oleh psikolog (hitungan engine ${m.nilaiEngine})${bobot}`;
+            case 'apm':
+                return `IQ: skor APM Set II ${m.raw} → persentil ${m.persentil} → IQ ${m.nilai} (norma APM ${m.norma})${bobot}`;
+            case 'cfit':
+                return m.variabel === 'IQ'
+                    ? `IQ: skor total CFIT ${m.raw} → IQ ${m.nilai} (kolom norma usia ${m.kolomUsia})${bobot}`
+                    : `${m.variabel}: skor mentah ${angkaJejak(m.nilai)}${bobot}`;
+            case 'ist':
+                return m.variabel === 'IQ'
+                    ? `IQ: jumlah RW IST ${m.raw} → SW ${m.sw} → IQ ${m.nilai} (norma IST ${m.norma})${bobot}`
+                    : `${m.variabel}: RW ${m.raw} → SW ${m.sw} (norma IST ${m.norma}) → setara IQ ${angkaJejak(m.nilai)}${bobot}`;
+            default:
+                return `${m.variabel}: skor mentah ${angkaJejak(m.nilai)}${bobot}`;
+        }
+    }
+
+    /**
+     * Uraian satu entri hasil.jejak sebagai daftar kalimat (Bahasa Indonesia):
+     * masukan → nilai gabungan → batas norma skala → override.
+     */
+    function uraiJejak(jejak) {
+        const baris = [];
+        if (!jejak.tersedia) baris.push('Data sumber aspek ini tidak diisi — skor bukan hasil jawaban peserta.');
+        jejak.masukan.forEach(m => baris.push(uraiMasukan(m)));
+        if (jejak.masukan.length > 1) baris.push(`Nilai gabungan (rata-rata berbobot): ${angkaJejak(jejak.nilai)}`);
+        const { bawah, atas, skala } = jejak.batas;
+        const rentang = bawah === null ? `nilai ≤ ${atas}` : atas === null ? `nilai > ${bawah}` : `${bawah} < nilai ≤ ${atas}`;
+        baris.push(`Norma skala ${jejak.norma.kode}@${jejak.norma.versi} (tabel ${jejak.norma.tabel}): ` +
+            `${angkaJejak(jejak.nilai)} berada di rentang ${rentang} → skala ${skala}`);
+        if (jejak.override !== null) baris.push(`Diganti psikolog lewat x_10 menjadi ${jejak.override} (hitungan engine ${jejak.skorEngine})`);
+        return baris;
+    }
+
+    // =========================================================
+    // CAP VERSI ENGINE, NORMA & KONTEN
+    // hasil.versi = { engine, norma, konten, rincianNorma } — disimpan
+    // mapData (x_17) dan bisa dicetak di kaki laporan & sertifikat.
+    // Norma dicatat per tabel yang benar-benar dipakai sebagai kode@versi;
+    // norma terdaftar tanpa versi memakai sidik tabelnya (kode@#xxxxxxxx).
+    // Konten = VERSI_KONTEN#sidik teks yang dipakai, sehingga set aspek klien,
+    // paket bahasa atau katalog program studi yang didaftarkan ikut terlihat.
+    // =========================================================
+
+    // Sidik FNV-1a 32-bit dari JSON data — 8 digit heksadesimal
+    function sidikData(data) {
+        const str = JSON.stringify(data) || '';
+        let h = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // 'kode@versi'; tanpa versi → sidik tabel, tanpa tabel (kolom CFIT bawaan) → versi bawaan
+    function versiNorma(kode, entri, tabel) {
+        const versi = entri.versi || (tabel ? '#' + sidikData(tabel) : VERSI_NORMA_BAWAAN);
+        return `${kode}@${versi}`;
+    }
+
+    function sidikKonten(kodeSet, bahasa) {
+        const kunci = `${kodeSet}|${bahasa}`;
+        if (!cacheSidikKonten[kunci]) {
+            cacheSidikKonten[kunci] = sidikData({
+                aspek:  getSetAspek(kodeSet).map(a => [a.nama, teksAspek(a)]),
+                pita:   TEKS_PITA,
+                minat:  minatData,
+                narasi: [TEMPLATE_NARASI, TEMPLATE_NARASI_SIFAT, FRASA_KEBUTUHAN_EPPS],
+                programStudi,
+                lokal:  uraiBahasa(bahasa).map(b => paketLokal[b] || null)
+            });
+        }
+        return cacheSidikKonten[kunci];
+    }
+
+    // Cap versi untuk hasil hitungPsikogram (dipanggil setelah bahasa ditentukan)
+    function capVersi(hasil) {
+        const rincianNorma = {
+            skala: `${hasil.normaSkala.kode}@${hasil.normaSkala.versi}`
+        };
+        if (hasil.validasi.subtes.cfit !== 'kosong') {
+            const kolom = KOLOM_USIA_CFIT.find(k => k.kode === hasil.normaCFIT.kolomUsia.kode);
+            rincianNorma.cfit = versiNorma(kolom.kode, kolom, kolom.iq);
+        }
+        if (hasil.profilEPPS) {
+            const kode = hasil.normaEPPS.kode;
+            rincianNorma.epps = versiNorma(kode, normaEPPS[kode], normaEPPS[kode].tabel);
+        }
+        if (hasil.ist && hasil.ist.norma) {
+            const kode = hasil.ist.norma.kode;
+            rincianNorma.ist = versiNorma(kode, normaIST[kode], normaIST[kode].sw);
+        }
+        if (hasil.apm && hasil.apm.norma) {
+            const kode = hasil.apm.norma.kode;
+            rincianNorma.apm = versiNorma(kode, normaAPM[kode], normaAPM[kode].persentil);
+        }
+        return {
+            engine: VERSI_ENGINE,
+            norma:  Object.entries(rincianNorma).map(([jenis, v]) => `${jenis}:${v}`).join(', '),
+            konten: `${VERSI_KONTEN}#${sidikKonten(hasil.setAspek, hasil.bahasa)}`,
+            rincianNorma
+        };
+    }
+
+    /**
+     * Satu baris cap versi untuk kaki laporan, mis.
+     * "Engine 2.0.0 · Norma skala:bawaan@1.0, cfit:16+@1.0 · Konten 1.0.0#1a2b3c4d".
+     * versi: hasil.versi atau isi kolom x_17 (JSON). Kosong / rusak → ''.
+     */
+    function labelVersi(versi, bahasa) {
+        if (typeof versi === 'string') {
+            try { versi = JSON.parse(versi || 'null'); } catch (e) { versi = null; }
+        }
+        if (!versi || !versi.engine) return '';
+        const label = labelLokal(bahasa);
+        return [
+            `${label.versi_engine} ${versi.engine}`,
+            versi.norma  ? `${label.versi_norma} ${versi.norma}`   : '',
+            versi.konten ? `${label.versi_konten} ${versi.konten}` : ''
+        ].filter(Boolean).join(' · ');
+    }
+
     // =========================================================
     // EXPORT: semua yang dibutuhkan file tampilan
+    // Tidak ada akses DOM di dalam engine — aman dipakai di Node.js
     // =========================================================
-    global.PsikogramEngine = {
+    return {
         // Fungsi utama — panggil ini dari psikogram.html
         hitungPsikogram,
+        // Validasi data mentah sebelum skoring
+        validatePsikogram,
+        // Adapter input — untuk format data sumber yang berbeda
+        registerAdapter,
+        deteksiAdapter,
+        inputAdapters,
+        KEY_MAP,
+        // Seeded random — versi kalimat konsisten per kandidat
+        makeSeededRand,
+        seedFromId,
+        pilihVersi,
         // Data statis — dipakai untuk render teks default
         kekuatanKelemahan,
         minatData,
-        aspekPsikologis
+        aspekPsikologis,
+        EPPS_KEBUTUHAN,
+        // Definisi aspek — set standar & set per klien
+        ASPEK_STANDAR,
+        registerSetAspek,
+        // Norma skala 1–10 — set bernama & berversi, bisa dimuat dari JSON
+        registerNormaSkala,
+        muatNormaSkala,
+        // Profil jabatan — indeks kecocokan kandidat untuk rekrutmen
+        registerProfilJabatan,
+        hitungKecocokan,
+        AMBANG_KONSISTENSI_DEFAULT,
+        // Norma EPPS — daftar tabel L/P/populasi dari manual
+        registerNormaEPPS,
+        normaEPPS,
+        // Norma CFIT — kolom usia (mis. norma dewasa) & parser usia
+        registerKolomCFIT,
+        hitungUsia,
+        // IST — norma usia dari manual & daftar subtes
+        registerNormaIST,
+        IST_SUBTES,
+        // APM — norma persentil per usia
+        registerNormaAPM,
+        // Label sumber skor kemampuan untuk laporan
+        SUMBER_KEMAMPUAN_LABEL,
+        // Label pita minat RMIB (tinggi / sedang / rendah)
+        RMIB_PITA_LABEL,
+        // Form RMIB pria / wanita — kunci item dari manual
+        registerFormRMIB,
+        // Kode Holland RIASEC dari total RMIB & ringkasan minat angkatan (dasbor analisa)
+        hollandRIASEC,
+        RIASEC,
+        ringkasanMinat,
+        // Katalog program studi & rekomendasi jurusan (minat3 + skor aspek)
+        registerProgramStudi,
+        rekomendasiProgramStudi,
+        // Penjurusan SMA IPA/IPS/Bahasa + ringkasan per kelas
+        JURUSAN_SMA,
+        rekomendasiJurusanSMA,
+        ringkasanJurusanSMA,
+        // Pita skor & template teks kelebihan/kelemahan per pita
+        PITA_SKOR,
+        pitaSkor,
+        TEKS_PITA,
+        // Lokalisasi — paket bahasa, label halaman & kategori IQ per bahasa laporan
+        registerLokal,
+        labelLokal,
+        kategoriIQ,
+        lokalisasiHasil,
+        lokalisasiRekap,
+        // Narasi keterangan (x_12): kemampuan, kepribadian & sikap kerja — seeded per peserta
+        generateNarasi,
+        TEMPLATE_NARASI,
+        TEMPLATE_NARASI_SIFAT,
+        FRASA_KEBUTUHAN_EPPS,
+        // Cap versi engine, norma & konten (hasil.versi / x_17) untuk kaki laporan
+        VERSI_ENGINE,
+        VERSI_KONTEN,
+        labelVersi,
+        // Jejak skor per aspek (opsi.jejak) — uraian untuk panel "mengapa skor ini?"
+        uraiJejak
     };
 
-})(window);
\ No newline at end of file
+});
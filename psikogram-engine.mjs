@@ -0,0 +1,71 @@
+/**
+ * psikogram-engine.mjs
+ * Pintu masuk ESM untuk Node.js — isi engine tetap di psikogram-engine.js.
+ *
+ * Cara pakai:
+ *   import PsikogramEngine, { hitungPsikogram } from './psikogram-engine.mjs';
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const PsikogramEngine = require('./psikogram-engine.js');
+
+export const {
+    hitungPsikogram,
+    validatePsikogram,
+    registerAdapter,
+    deteksiAdapter,
+    inputAdapters,
+    KEY_MAP,
+    makeSeededRand,
+    seedFromId,
+    pilihVersi,
+    kekuatanKelemahan,
+    minatData,
+    aspekPsikologis,
+    ASPEK_STANDAR,
+    registerSetAspek,
+    registerNormaSkala,
+    muatNormaSkala,
+    registerProfilJabatan,
+    hitungKecocokan,
+    EPPS_KEBUTUHAN,
+    AMBANG_KONSISTENSI_DEFAULT,
+    registerNormaEPPS,
+    normaEPPS,
+    registerKolomCFIT,
+    hitungUsia,
+    registerNormaIST,
+    IST_SUBTES,
+    registerNormaAPM,
+    SUMBER_KEMAMPUAN_LABEL,
+    RMIB_PITA_LABEL,
+    registerFormRMIB,
+    hollandRIASEC,
+    RIASEC,
+    ringkasanMinat,
+    registerProgramStudi,
+    rekomendasiProgramStudi,
+    JURUSAN_SMA,
+    rekomendasiJurusanSMA,
+    ringkasanJurusanSMA,
+    PITA_SKOR,
+    pitaSkor,
+    TEKS_PITA,
+    registerLokal,
+    labelLokal,
+    kategoriIQ,
+    lokalisasiHasil,
+    lokalisasiRekap,
+    generateNarasi,
+    TEMPLATE_NARASI,
+    TEMPLATE_NARASI_SIFAT,
+    FRASA_KEBUTUHAN_EPPS,
+    VERSI_ENGINE,
+    VERSI_KONTEN,
+    labelVersi,
+    uraiJejak
+} = PsikogramEngine;
+
+export default PsikogramEngine;
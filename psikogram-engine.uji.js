@@ -0,0 +1,858 @@
+/**
+ * psikogram-engine.uji.js
+ * Uji regresi engine di Node.js: baris fixture tetap → nilai yang diharapkan.
+ *
+ * Cara pakai:
+ *   node psikogram-engine.uji.js
+ *
+ * Keluar dengan kode 1 bila ada uji yang gagal. Perubahan skor yang disengaja
+ * harus memperbarui nilai harapan di bawah ini dalam commit yang sama.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const PsikogramEngine = require('./psikogram-engine.js');
+
+// =========================================================
+// PEMBANGUN DATA MENTAH (format pipe bawaan)
+// =========================================================
+
+// 225 jawaban EPPS A/B dengan pola tetap, cukup beragam untuk semua kebutuhan
+function jawabanEPPS(langkah) {
+    return Array.from({ length: 225 }, (_, i) => ((i * langkah) % 7 < 3 ? 'A' : 'B')).join(';');
+}
+
+// 8 blok RMIB, tiap blok permutasi 1..12 yang digeser per blok
+function blokRMIB(geser) {
+    return Array.from({ length: 8 }, (_, b) =>
+        Array.from({ length: 12 }, (_, j) => ((j + b * geser) % 12) + 1).join(';'));
+}
+
+/**
+ * Satu baris peserta format pipe.
+ * p: { nama, usia, jk, cfit: [4], tkd3, tkd6, epps (langkah), rmib (geser) }
+ */
+function baris(p) {
+    const x05 = new Array(18).fill('');
+    p.cfit.forEach((v, i) => { x05[i] = v; });
+    x05[15] = p.tkd3;
+    x05[17] = p.tkd6;
+    return {
+        x_02: `${p.nama};a;b;c;${p.usia};e;f;g;${p.jk}`,
+        x_05: x05.join('|'),
+        x_06: jawabanEPPS(p.epps) + '||' + blokRMIB(p.rmib).join('|'),
+        x_10: ''
+    };
+}
+
+const ANDI  = { nama: 'Andi',  usia: 17,   jk: 'Laki-laki', cfit: [10, 8, 9, 7],   tkd3: 30, tkd6: 20, epps: 3, rmib: 5 };
+const BUDI  = { nama: 'Budi',  usia: 15.6, jk: 'Perempuan', cfit: [12, 12, 11, 10], tkd3: 38, tkd6: 27, epps: 5, rmib: 7 };
+const CITRA = { nama: 'Citra', usia: 21,   jk: 'Perempuan', cfit: [3, 2, 4, 1],    tkd3: 9,  tkd6: 4,  epps: 2, rmib: 1 };
+
+function hitung(p, opsi, id) {
+    return PsikogramEngine.hitungPsikogram(baris(p), id || p.nama, opsi || {});
+}
+
+// =========================================================
+// RUNNER
+// =========================================================
+const daftarUji = [];
+
+function uji(nama, fn) {
+    daftarUji.push({ nama, fn });
+}
+
+// =========================================================
+// SKOR DASAR: IQ, 14 aspek & 3 minat teratas
+// =========================================================
+
+uji('IQ, skor aspek & minat3 — IQ di atas rata-rata', () => {
+    const h = hitung(ANDI);
+    assert.strictEqual(h.IQ, 137);
+    assert.deepStrictEqual(h.resultScores, [9, 6, 7, 7, 6, 7, 4, 6, 7, 6, 7, 5, 6, 7]);
+    assert.deepStrictEqual(h.minat3.map(m => m.singkatan), ['OUT', 'SOS. WERV', 'PERS']);
+});
+
+uji('IQ, skor aspek & minat3 — IQ sangat tinggi', () => {
+    const h = hitung(BUDI);
+    assert.strictEqual(h.IQ, 169);
+    assert.deepStrictEqual(h.resultScores, [10, 10, 9, 9, 8, 9, 4, 6, 7, 5, 7, 5, 6, 6]);
+    assert.deepStrictEqual(h.minat3.map(m => m.singkatan), ['OUT', 'LITE', 'MECH']);
+});
+
+uji('IQ, skor aspek & minat3 — IQ rendah', () => {
+    const h = hitung(CITRA);
+    assert.strictEqual(h.IQ, 63);
+    assert.deepStrictEqual(h.resultScores, [2, 1, 1, 3, 1, 2, 4, 6, 6, 5, 8, 5, 6, 7]);
+    assert.deepStrictEqual(h.minat3.map(m => m.singkatan), ['OUT', 'MECH', 'COMP']);
+});
+
+// =========================================================
+// ADAPTER INPUT
+// =========================================================
+
+uji('json-nilai1 & json-keymap menghasilkan skor yang sama dengan pipe', () => {
+    const pipe = hitung(ANDI);
+    const rmib = blokRMIB(ANDI.rmib);
+
+    const x06Nilai1 = { epps: jawabanEPPS(ANDI.epps) };
+    rmib.forEach((b, k) => { x06Nilai1['rmib_k' + (k + 1)] = b; });
+    const nilai1 = PsikogramEngine.hitungPsikogram({
+        x_02: JSON.stringify({ nama: 'Andi', usia: '17', jenis_kelamin: 'Laki-laki' }),
+        x_05: JSON.stringify({ cfit1: 10, cfit2: 8, cfit3: 9, cfit4: 7, tkd3: 30, tkd6: 20 }),
+        x_06: JSON.stringify(x06Nilai1),
+        x_10: ''
+    }, 'Andi');
+    assert.strictEqual(nilai1.adapter, 'json-nilai1');
+
+    const x06Keymap = { epps: jawabanEPPS(ANDI.epps) };
+    rmib.forEach((b, k) => { x06Keymap['rmib' + (k + 1)] = b; });
+    const keymap = PsikogramEngine.hitungPsikogram({
+        x_02: baris(ANDI).x_02,
+        x_05: JSON.stringify({ cfit1: '10', cfit2: '8', cfit3: '9', cfit4: '7', tkd3: '30', tkd6: '20' }),
+        x_06: JSON.stringify(x06Keymap),
+        x_10: ''
+    }, 'Andi');
+    assert.strictEqual(keymap.adapter, 'json-keymap');
+
+    [nilai1, keymap].forEach(h => {
+        assert.strictEqual(h.IQ, pipe.IQ);
+        assert.deepStrictEqual(h.resultScores, pipe.resultScores);
+        assert.deepStrictEqual(h.minat3, pipe.minat3);
+    });
+});
+
+uji('kolom JSON rusak dianggap kosong & tercatat di kolomTidakTerbaca', () => {
+    const h = PsikogramEngine.hitungPsikogram(
+        { x_02: '{"nama": "Gita"}', x_05: '{"cfit1": 8,', x_06: '', x_10: '' }, 'Gita', { adapter: 'json-nilai1' });
+    assert.deepStrictEqual(h.kolomTidakTerbaca.map(k => k.field), ['x_05']);
+    assert.strictEqual(h.identitas.nama, 'Gita');
+});
+
+// =========================================================
+// VALIDASI DATA MENTAH
+// =========================================================
+
+// Kode error & warning laporan validasi, untuk dibandingkan sekaligus
+function kodeValidasi(laporan) {
+    return { errors: laporan.errors.map(e => e.kode), warnings: laporan.warnings.map(w => w.kode) };
+}
+
+uji('baris lengkap valid & sama dengan validatePsikogram', () => {
+    const data = baris(ANDI);
+    const h = PsikogramEngine.hitungPsikogram(data, 'Andi');
+    assert.strictEqual(h.validasi.valid, true);
+    assert.deepStrictEqual(kodeValidasi(h.validasi), { errors: [], warnings: [] });
+    assert.deepStrictEqual(PsikogramEngine.validatePsikogram(data), h.validasi);
+});
+
+uji('CFIT kosong = error, RMIB kosong = warning, EPPS kurang = error', () => {
+    const cfitKosong = hitung({ ...ANDI, cfit: ['', '', '', ''] });
+    assert.deepStrictEqual(kodeValidasi(cfitKosong.validasi), { errors: ['CFIT_KOSONG'], warnings: [] });
+    assert.strictEqual(cfitKosong.validasi.subtes.cfit, 'kosong');
+
+    const tanpaRMIB = baris(ANDI);
+    tanpaRMIB.x_06 = jawabanEPPS(ANDI.epps) + '||';
+    const rmibKosong = PsikogramEngine.hitungPsikogram(tanpaRMIB, 'Andi');
+    assert.strictEqual(rmibKosong.validasi.valid, true);
+    assert.deepStrictEqual(kodeValidasi(rmibKosong.validasi), { errors: [], warnings: ['RMIB_KOSONG'] });
+
+    const eppsKurang = baris(ANDI);
+    eppsKurang.x_06 = eppsKurang.x_06.slice(2);
+    const h = PsikogramEngine.hitungPsikogram(eppsKurang, 'Andi');
+    assert.deepStrictEqual(kodeValidasi(h.validasi).errors, ['EPPS_JUMLAH']);
+    assert.strictEqual(h.validasi.subtes.epps, 'tidak_valid');
+});
+
+uji('kolom JSON rusak = error FORMAT_TIDAK_VALID', () => {
+    const data = { x_02: '{"nama": "Gita"}', x_05: '{"cfit1": 8,', x_06: '', x_10: '' };
+    const h = PsikogramEngine.hitungPsikogram(data, 'Gita', { adapter: 'json-nilai1' });
+    assert.strictEqual(h.validasi.valid, false);
+    assert.strictEqual(h.validasi.errors[0].kode, 'FORMAT_TIDAK_VALID');
+    assert.strictEqual(h.validasi.errors[0].field, 'x_05');
+    const laporan = PsikogramEngine.validatePsikogram(data, { adapter: 'json-nilai1' });
+    assert.deepStrictEqual(kodeValidasi(laporan), { errors: ['FORMAT_TIDAK_VALID'], warnings: [] });
+});
+
+// =========================================================
+// RMIB: BLOK PERINGKAT & PEMECAH SERI
+// =========================================================
+
+// Baris ANDI dengan satu blok RMIB diganti
+function barisBlokRMIB(indeks, isi) {
+    const blok = blokRMIB(ANDI.rmib);
+    blok[indeks] = isi;
+    const data = baris(ANDI);
+    data.x_06 = jawabanEPPS(ANDI.epps) + '||' + blok.join('|');
+    return data;
+}
+
+uji('blok RMIB harus permutasi 1–12', () => {
+    const ganda = PsikogramEngine.hitungPsikogram(barisBlokRMIB(0, '1;1;3;4;5;6;7;8;9;10;11;12'), 'Andi');
+    assert.deepStrictEqual(kodeValidasi(ganda.validasi).errors, ['RMIB_PERINGKAT_GANDA', 'RMIB_PERINGKAT_HILANG']);
+    const diLuar = PsikogramEngine.hitungPsikogram(barisBlokRMIB(2, '13;12;1;2;3;4;5;6;7;8;9;10'), 'Andi');
+    assert.deepStrictEqual(kodeValidasi(diLuar.validasi).errors, ['RMIB_DI_LUAR_RENTANG', 'RMIB_PERINGKAT_HILANG']);
+});
+
+uji('seri di batas 3 besar dipecah frekuensi peringkat, mode psikolog minta review', () => {
+    const aturan = hitung(ANDI);
+    assert.deepStrictEqual(aturan.seriMinat.kategori, ['PERS', 'MECH']);
+    assert.strictEqual(aturan.seriMinat.diselesaikanOleh, 'frekuensi_peringkat');
+    assert.strictEqual(aturan.seriMinat.perluReview, false);
+
+    const psikolog = hitung(ANDI, { seriMinat: 'psikolog' });
+    assert.deepStrictEqual(psikolog.minat3.map(m => m.singkatan), ['OUT', 'SOS. WERV', 'MECH']);
+    assert.strictEqual(psikolog.seriMinat.perluReview, true);
+    assert.deepStrictEqual(kodeValidasi(psikolog.validasi).warnings, ['RMIB_SERI_TOP3']);
+});
+
+uji('ranking 12 minat RMIB dengan pita dan 3 bidang yang dihindari', () => {
+    const h = hitung(ANDI);
+    assert.strictEqual(h.rankingMinat.length, 12);
+    assert.deepStrictEqual(h.rankingMinat[0], { peringkat: 1, singkatan: 'OUT', kunci: 'out', nama: 'OUTDOOR', total: 36, pita: 'tinggi' });
+    assert.deepStrictEqual(h.rankingMinat.map(r => r.singkatan).slice(0, 3), h.minat3.map(m => m.singkatan));
+    assert.deepStrictEqual(h.rankingMinat.map(r => r.pita).filter(p => p !== 'sedang'), ['tinggi', 'tinggi', 'rendah', 'rendah']);
+    assert.deepStrictEqual(h.minatDihindari.map(m => [m.peringkat, m.singkatan]), [[12, 'MUS'], [11, 'MED'], [10, 'ACIE']]);
+
+    const row = baris(ANDI);
+    row.x_06 = row.x_06.split('||')[0] + '||';
+    const kosong = PsikogramEngine.hitungPsikogram(row, 'Andi');
+    assert.strictEqual(kosong.rankingMinat, null);
+    assert.strictEqual(kosong.minatDihindari, null);
+});
+
+// Kunci form RMIB: kategori ke-k di blok b = item ke-((k + geser − b) mod 12) + 1
+// (geser 0 = kunci standar engine)
+function kunciFormRMIB(geser) {
+    const kunci = {};
+    ['out', 'mech', 'comp', 'acie', 'pers', 'aesth', 'lite', 'mus', 'sos_wer', 'cler', 'prac', 'med'].forEach((kat, k) => {
+        kunci[kat] = Array.from({ length: 8 }, (_, b) => b * 12 + ((k + geser - b + 96) % 12) + 1);
+    });
+    return kunci;
+}
+
+uji('form RMIB: standar sebagai fallback, form terdaftar dipilih dari rmib_form / jk', () => {
+    const standar = hitung(ANDI);
+    assert.deepStrictEqual(standar.formRMIB, { kode: 'standar', label: 'Standar', sumber: 'standar', fallback: true });
+
+    // Form pria / wanita tidak disertakan → rmib_form 'pria' ditolak, bukan diam-diam memakai kunci standar
+    const pria = baris(ANDI);
+    pria.x_06 += '|pria';
+    assert.deepStrictEqual(kodeValidasi(PsikogramEngine.hitungPsikogram(pria, 'Andi').validasi).errors, ['RMIB_FORM_TIDAK_DIKENAL']);
+
+    // Form tiruan tanpa jk, kategorinya digeser satu posisi
+    PsikogramEngine.registerFormRMIB('uji_geser', { label: 'Uji geser', kunci: kunciFormRMIB(1) });
+    const geser = baris(ANDI);
+    geser.x_06 += '|uji_geser';
+    const h = PsikogramEngine.hitungPsikogram(geser, 'Andi');
+    assert.deepStrictEqual([h.formRMIB.kode, h.formRMIB.sumber, h.formRMIB.fallback], ['uji_geser', 'rmib_form', false]);
+    assert.notDeepStrictEqual(h.minat3.map(m => m.singkatan), standar.minat3.map(m => m.singkatan));
+
+    // Form wanita tiruan = kunci standar (skor peserta lain tidak berubah), dipilih dari jk biodata
+    PsikogramEngine.registerFormRMIB('uji_wanita', { label: 'Uji wanita', jk: 'Perempuan', kunci: kunciFormRMIB(0) });
+    const budi = hitung(BUDI);
+    assert.deepStrictEqual([budi.formRMIB.kode, budi.formRMIB.sumber], ['uji_wanita', 'jk']);
+    assert.strictEqual(hitung(ANDI).formRMIB.kode, 'standar');
+
+    const kunciRusak = kunciFormRMIB(0);
+    kunciRusak.out = kunciRusak.out.slice(0, 7);
+    assert.throws(() => PsikogramEngine.registerFormRMIB('rusak', { kunci: kunciRusak }), /OUT harus punya 8 nomor item/);
+});
+
+uji('kode Holland RIASEC dari total RMIB, seri dipecah urutan R-I-A-S-E-C', () => {
+    const h = hitung(ANDI).holland;
+    assert.strictEqual(h.kode, 'ERS');
+    assert.deepStrictEqual(h.urutan, ['E', 'R', 'S', 'C', 'A', 'I']);
+    assert.deepStrictEqual(h.dimensi.map(d => d.skor), [58, 39, 41, 55, 59, 52]);
+    assert.strictEqual(hitung(CITRA).holland.kode, 'REC');
+
+    const rata = {};
+    ['out', 'mech', 'comp', 'acie', 'pers', 'aesth', 'lite', 'mus', 'sos_wer', 'cler', 'prac', 'med'].forEach(k => { rata[k] = 52; });
+    assert.strictEqual(PsikogramEngine.hollandRIASEC(rata).kode, 'RIA');
+
+    const row = baris(ANDI);
+    row.x_06 = row.x_06.split('||')[0] + '||';
+    assert.strictEqual(PsikogramEngine.hitungPsikogram(row, 'Andi').holland, null);
+});
+
+uji('ringkasan minat angkatan untuk dasbor', () => {
+    const r = PsikogramEngine.ringkasanMinat([
+        { minat: ['OUTDOOR'], holland: 'ERS' },
+        { minat: ['OUTDOOR'], holland: 'REC' },
+        { minat: ['MUSICAL'], holland: 'ERS' },
+        { minat: [], holland: '' }
+    ]);
+    assert.deepStrictEqual(r.minat.map(m => [m.label, m.entries.length]), [['OUTDOOR', 2], ['MUSICAL', 1]]);
+    assert.strictEqual(r.totalMinat, 3);
+    assert.deepStrictEqual(r.holland.map(d => d.entries.length), [1, 0, 0, 0, 2, 0]);
+    assert.strictEqual(r.totalHolland, 3);
+    assert.deepStrictEqual(r.kodeTeratas, [{ kode: 'ERS', jumlah: 2 }, { kode: 'REC', jumlah: 1 }]);
+});
+
+// =========================================================
+// EPPS: PROFIL 15 KEBUTUHAN
+// =========================================================
+
+uji('profil EPPS memuat 15 kebutuhan berurutan dengan skala yang sama dengan aspek', () => {
+    const h = hitung(ANDI);
+    const profil = h.profilEPPS;
+    assert.deepStrictEqual(profil.map(k => k.kode),
+        ['ach', 'def', 'ord', 'exh', 'aut', 'aff', 'int', 'suc', 'dom', 'aba', 'nur', 'chg', 'end', 'het', 'agg']);
+    // 225 butir - 15 butir konsistensi = 210 pilihan kebutuhan
+    assert.strictEqual(profil.reduce((t, k) => t + k.raw, 0), 210);
+    assert.deepStrictEqual(profil.map(k => `${k.raw}/${k.ws}/${k.skala}${k.kategori}`).join(' '),
+        '14/8/4K 13/13/7B 13/9/5C 15/13/7B 14/13/7B 15/11/6C 14/9/5C 14/11/6C 13/11/6C 13/8/4K 15/9/5C 14/10/5C 15/10/5C 14/14/7B 14/11/6C');
+    // Hasrat Berprestasi (aspek 6) = skala Achievement
+    assert.strictEqual(h.resultScores[6], profil[0].skala);
+});
+
+uji('validitas EPPS dari konsistensi, ambang bisa diganti, aspek bisa ditahan', () => {
+    assert.strictEqual(hitung(ANDI).validitasEPPS.status, 'diragukan');   // konsistensi 8
+    assert.strictEqual(hitung(CITRA).validitasEPPS.status, 'tidak_valid'); // konsistensi 6
+    assert.strictEqual(hitung(ANDI, { ambangKonsistensi: { valid: 8, diragukan: 6 } }).validitasEPPS.status, 'valid');
+
+    assert.deepStrictEqual(hitung(CITRA).aspekDitahan, []);
+    assert.deepStrictEqual(hitung(CITRA, { eppsTidakValid: 'tahan' }).aspekDitahan, [6, 7, 8, 9, 10, 11, 12, 13]);
+    assert.deepStrictEqual(hitung(ANDI, { eppsTidakValid: 'tahan' }).aspekDitahan, []);
+
+    const tanpaEPPS = baris(ANDI);
+    tanpaEPPS.x_06 = '||' + blokRMIB(ANDI.rmib).join('|');
+    const h = PsikogramEngine.hitungPsikogram(tanpaEPPS, 'Andi');
+    assert.strictEqual(h.validitasEPPS, null);
+    assert.strictEqual(h.profilEPPS, null);
+});
+
+uji('norma EPPS: gabungan tanpa fallback, norma jk + populasi terdaftar dipilih', () => {
+    const awal = hitung(ANDI).normaEPPS;
+    assert.strictEqual(awal.kode, 'gabungan');
+    assert.strictEqual(awal.fallback, false);
+
+    // Norma tiruan (semua WS = 20) untuk populasi 'uji' — tidak menyentuh uji lain
+    const tabel = {};
+    ['ACH_s', 'DEF_s', 'ORD_s', 'EXH_s', 'OUT_s', 'AFF_s', 'INT_s', 'SUC_s',
+     'DOM_s', 'ABA_s', 'NUR_s', 'CHG_s', 'END_s', 'HET_s', 'AGG_s'].forEach(k => { tabel[k] = { 0: 20 }; });
+    PsikogramEngine.registerNormaEPPS('uji_p', { label: 'Uji P', jk: 'Perempuan', populasi: 'uji', tabel });
+
+    const perempuan = hitung(BUDI, { populasiEPPS: 'uji' });
+    assert.strictEqual(perempuan.normaEPPS.kode, 'uji_p');
+    assert.strictEqual(perempuan.normaEPPS.fallback, false);
+    assert.deepStrictEqual(perempuan.resultScores.slice(6), [10, 10, 10, 10, 10, 10, 10, 10]);
+
+    const laki = hitung(ANDI, { populasiEPPS: 'uji' });
+    assert.strictEqual(laki.normaEPPS.kode, 'gabungan');
+    assert.strictEqual(laki.normaEPPS.fallback, true);
+    assert.deepStrictEqual(laki.resultScores, hitung(ANDI).resultScores);
+
+    assert.throws(() => PsikogramEngine.registerNormaEPPS('rusak', { tabel: { ACH_s: {} } }), /tidak punya tabel DEF_s/);
+});
+
+// =========================================================
+// CFIT: USIA & KOLOM NORMA
+// =========================================================
+
+uji('usia CFIT dibaca tahun.bulan atau dari tanggal lahir', () => {
+    const u = PsikogramEngine.hitungUsia('13.11');
+    assert.deepStrictEqual([u.tahun, u.bulan, u.totalBulan], [13, 11, 167]);
+
+    const iso = PsikogramEngine.hitungUsia('', '2008-03-20', '2024-03-19');
+    const dmy = PsikogramEngine.hitungUsia('', '20/03/2008', '19/03/2024');
+    assert.deepStrictEqual([iso.tahun, iso.bulan, iso.sumber], [15, 11, 'tanggal_lahir']);
+    assert.deepStrictEqual([dmy.tahun, dmy.bulan], [15, 11]);
+
+    // Tanggal lahir di kolom ke-10 & tanggal tes di kolom ke-11 x_02
+    const row = baris(ANDI);
+    row.x_02 = 'Andi;a;b;c;;e;f;g;Laki-laki;2008-03-20;2024-03-19';
+    const h = PsikogramEngine.hitungPsikogram(row, 'Andi');
+    assert.strictEqual(h.normaCFIT.kolomUsia.kode, '15.0-15.11');
+    assert.strictEqual(h.normaCFIT.usia.sumber, 'tanggal_lahir');
+});
+
+uji('usia di luar norma / tidak valid memakai kolom 16+ dengan warning', () => {
+    const kecil = hitung({ ...ANDI, usia: 12 });
+    assert.strictEqual(kecil.normaCFIT.kolomUsia.kode, '16+');
+    assert.strictEqual(kecil.normaCFIT.diLuarNorma, true);
+    assert.ok(kodeValidasi(kecil.validasi).warnings.includes('USIA_DI_LUAR_NORMA'));
+
+    const rusak = hitung({ ...ANDI, usia: 'abc' });
+    assert.strictEqual(rusak.normaCFIT.usiaDefault, true);
+    assert.ok(kodeValidasi(rusak.validasi).warnings.includes('USIA_TIDAK_VALID'));
+});
+
+uji('kolom CFIT dewasa bisa didaftarkan tanpa batas atas usia', () => {
+    // Norma tiruan: IQ = 50 + skor total
+    const iq = {};
+    for (let s = 0; s <= 50; s++) iq[s] = 50 + s;
+    PsikogramEngine.registerKolomCFIT({ kode: '30+', label: '30 tahun ke atas', minBulan: 360, iq });
+
+    const dewasa = hitung({ ...ANDI, usia: 35 });
+    assert.strictEqual(dewasa.normaCFIT.kolomUsia.kode, '30+');
+    assert.strictEqual(dewasa.normaCFIT.IQ, 84);
+    assert.strictEqual(hitung(CITRA).normaCFIT.kolomUsia.kode, '16+');
+
+    assert.throws(() => PsikogramEngine.registerKolomCFIT({ kode: 'x', minBulan: 200, maxBulan: 100, iq }), /tidak valid/);
+});
+
+// =========================================================
+// IST
+// =========================================================
+
+// Baris peserta dengan skor IST (SE..ME) di x_05 index 4–12
+function barisIST(p, rw) {
+    const row = baris(p);
+    const x05 = row.x_05.split('|');
+    rw.forEach((v, i) => { x05[4 + i] = v; });
+    row.x_05 = x05.join('|');
+    return row;
+}
+
+const RW_IST = [16, 15, 14, 18, 8, 7, 5, 4, 6];
+
+uji('IST diskor dengan norma tiruan dan menjadi sumber KEMAMPUAN', () => {
+    // Norma tiruan untuk usia 50–59 th (tidak bentrok dengan peserta uji lain): SW = 90 + RW
+    const tabel = {};
+    for (let rw = 0; rw <= 32; rw++) tabel[rw] = 90 + rw;
+    const total = {};
+    for (let rw = 0; rw <= 200; rw++) total[rw] = 80 + Math.round(rw / 4);
+    const sw = { total };
+    ['se', 'wa', 'an', 'ge', 'ra', 'zr', 'fa', 'wu', 'me'].forEach(k => { sw[k] = tabel; });
+    PsikogramEngine.registerNormaIST('uji_50', { label: 'Uji 50 th', minBulan: 600, maxBulan: 719, sw });
+
+    const h = PsikogramEngine.hitungPsikogram(barisIST({ ...ANDI, usia: 55 }, RW_IST), 'Andi', { sumberKemampuan: 'ist' });
+    assert.strictEqual(h.sumberKemampuan, 'ist');
+    assert.deepStrictEqual([h.ist.rwTotal, h.ist.swTotal, h.ist.IQ, h.IQ], [93, 103, 105, 105]);
+    assert.deepStrictEqual(h.ist.norma, { kode: 'uji_50', label: 'Uji 50 th' });
+    assert.strictEqual(h.ist.profil.bentuk, 'Verbal > Numerik > Figural');
+    assert.deepStrictEqual(h.resultScores.slice(0, 6), [6, 5, 6, 6, 6, 7]);
+    assert.strictEqual(h.validasi.valid, true);
+
+    assert.throws(() => PsikogramEngine.registerNormaIST('rusak', { sw: { se: {} } }), /tidak punya tabel wa/);
+});
+
+uji('IST diminta tanpa norma usia = error, tanpa diminta cukup warning', () => {
+    const row = barisIST(ANDI, RW_IST);
+    const diminta = PsikogramEngine.hitungPsikogram(row, 'Andi', { sumberKemampuan: 'ist' });
+    assert.strictEqual(diminta.validasi.valid, false);
+    assert.deepStrictEqual(kodeValidasi(diminta.validasi).errors, ['IST_NORMA_BELUM_ADA']);
+    assert.strictEqual(diminta.sumberKemampuan, 'cfit');
+
+    const biasa = PsikogramEngine.hitungPsikogram(row, 'Andi');
+    assert.strictEqual(biasa.validasi.valid, true);
+    assert.deepStrictEqual(kodeValidasi(biasa.validasi).warnings, ['IST_NORMA_BELUM_ADA']);
+});
+
+// =========================================================
+// APM
+// =========================================================
+
+// Baris peserta dengan skor APM Set I & II di x_05 index 13–14
+function barisAPM(p, set1, set2) {
+    const row = baris(p);
+    const x05 = row.x_05.split('|');
+    x05[13] = set1;
+    x05[14] = set2;
+    row.x_05 = x05.join('|');
+    return row;
+}
+
+uji('APM diskor dengan norma tiruan dan menjadi sumber Kemampuan Umum', () => {
+    // Norma tiruan usia 50–59 th: persentil naik linear 1–99 dari skor Set II 0–36
+    const persentil = {};
+    for (let skor = 0; skor <= 36; skor++) persentil[skor] = Math.round(skor / 36 * 98) + 1;
+    PsikogramEngine.registerNormaAPM('uji_50', { label: 'Uji 50 th', minBulan: 600, maxBulan: 719, persentil });
+
+    const h = PsikogramEngine.hitungPsikogram(barisAPM({ ...ANDI, usia: 55 }, 10, 27), 'Andi', { sumberKemampuanUmum: 'apm' });
+    assert.strictEqual(h.sumberKemampuanUmum, 'apm');
+    assert.strictEqual(PsikogramEngine.SUMBER_KEMAMPUAN_LABEL[h.sumberKemampuanUmum], 'APM (Raven)');
+    assert.deepStrictEqual([h.apm.persentil, h.apm.grade.kode, h.apm.IQ, h.IQ], [75, 'II', 110, 110]);
+    assert.strictEqual(h.resultScores[0], 7);
+    assert.strictEqual(h.validasi.valid, true);
+});
+
+uji('APM diminta tanpa norma / tanpa skor = error, sumber kembali CFIT', () => {
+    const tanpaNorma = PsikogramEngine.hitungPsikogram(barisAPM(ANDI, 10, 27), 'Andi', { sumberKemampuanUmum: 'apm' });
+    assert.strictEqual(tanpaNorma.validasi.valid, false);
+    assert.deepStrictEqual(kodeValidasi(tanpaNorma.validasi).errors, ['APM_NORMA_BELUM_ADA']);
+    assert.strictEqual(tanpaNorma.sumberKemampuanUmum, 'cfit');
+
+    assert.deepStrictEqual(kodeValidasi(hitung(ANDI, { sumberKemampuanUmum: 'apm' }).validasi).errors, ['APM_KOSONG']);
+    assert.deepStrictEqual(kodeValidasi(PsikogramEngine.hitungPsikogram(barisAPM(ANDI, 10, 27), 'Andi').validasi).warnings,
+        ['APM_NORMA_BELUM_ADA']);
+});
+
+// =========================================================
+// SET ASPEK
+// =========================================================
+
+uji('set aspek standar sejajar resultScores, set klien bisa didaftarkan', () => {
+    const standar = hitung(ANDI);
+    assert.strictEqual(standar.setAspek, 'standar');
+    assert.strictEqual(standar.aspek.length, standar.resultScores.length);
+    assert.strictEqual(standar.aspek[0].kode, 'kemampuan_umum');
+
+    const dasar = [
+        { kode: 'kemampuan_umum', nama: 'Kemampuan Umum', grup: 'KEMAMPUAN', sumber: { IQ: 1 }, norma: 'iq' },
+        { kode: 'ketekunan', nama: 'Ketekunan', grup: 'SIKAP KERJA', sumber: { END: 2, ORD: 1 }, norma: 'ach',
+          teks: { teks2: 'tekun', teks3: 'kurang tekun', teks5: 'latih ketekunan' } }
+    ];
+    assert.throws(() => PsikogramEngine.registerSetAspek('kurang', dasar), /minimal berisi 3 aspek/);
+    assert.throws(() => PsikogramEngine.registerSetAspek('asing',
+        dasar.concat({ nama: 'Asing', grup: 'X', sumber: { FOO: 1 }, norma: 'ach', teks: {} })), /variabel tidak dikenal: FOO/);
+
+    PsikogramEngine.registerSetAspek('uji_kampus',
+        dasar.concat({ kode: 'relasi_sosial', nama: 'Relasi Sosial', grup: 'KEPRIBADIAN', sumber: { AFF: 1 }, norma: 'ach' }));
+    const kampus = hitung(ANDI, { setAspek: 'uji_kampus' });
+    assert.deepStrictEqual(kampus.resultScores, [9, 5, 6]);
+    assert.deepStrictEqual(kampus.aspek[1].sumber, ['END', 'ORD']);
+    assert.strictEqual(kampus.kelebihan[2], 'tekun');
+
+    assert.throws(() => hitung(ANDI, { setAspek: 'tidak_ada' }), /Set aspek "tidak_ada" tidak dikenal/);
+});
+
+// =========================================================
+// NORMA SKALA 1–10
+// =========================================================
+
+uji('norma skala bernama dimuat dari JSON dan tercatat per aspek', () => {
+    const kode = PsikogramEngine.muatNormaSkala(JSON.stringify({
+        kode: 'uji_2025', nama: 'Uji', versi: '2025.1',
+        tabel: { kemampuan_umum: [[150, 3], [null, 4]], ach: [[5, 1], [10, 5], ['Infinity', 9]] }
+    }));
+    assert.deepStrictEqual(kode, ['uji_2025']);
+
+    const h = hitung(ANDI, { normaSkala: 'uji_2025' });
+    assert.deepStrictEqual(h.normaSkala, { kode: 'uji_2025', nama: 'Uji', versi: '2025.1' });
+    // Tabel khusus aspek, lalu tabel kriteria, lalu kembali ke bawaan
+    assert.strictEqual(h.resultScores[0], 3);
+    assert.strictEqual(h.aspek[0].norma.tabel, 'kemampuan_umum');
+    assert.strictEqual(h.aspek[6].norma.tabel, 'ach');
+    assert.strictEqual(h.aspek[1].norma.kode, 'bawaan');
+    assert.deepStrictEqual(h.resultScores.slice(1, 6), hitung(ANDI).resultScores.slice(1, 6));
+
+    assert.throws(() => PsikogramEngine.registerNormaSkala('bawaan', { versi: '2', tabel: {} }), /tidak bisa diganti/);
+    assert.throws(() => PsikogramEngine.registerNormaSkala('tanpa_versi', { tabel: {} }), /wajib punya versi/);
+    assert.throws(() => PsikogramEngine.registerNormaSkala('turun', { versi: '1', tabel: { ach: [[10, 1], [5, 2]] } }), /batas harus naik/);
+    assert.throws(() => hitung(ANDI, { normaSkala: 'tidak_ada' }), /Norma skala "tidak_ada" tidak dikenal/);
+});
+
+// =========================================================
+// KECOCOKAN PROFIL JABATAN
+// =========================================================
+
+PsikogramEngine.registerProfilJabatan('uji_admin', {
+    nama: 'Staf Administrasi',
+    aspek: { sistematika_kerja: { minimum: 4, ideal: 6 }, kerjasama: { minimum: 5, ideal: 7 } },
+    minimumIQ: 100,
+    minat: ['OUT', 'CLER']
+});
+
+uji('kecocokan jabatan: persen, minat & kesimpulan', () => {
+    const k = hitung(ANDI, { profilJabatan: 'uji_admin' }).kecocokanJabatan;
+    assert.strictEqual(k.persen, 92);
+    assert.deepStrictEqual(k.aspek.map(a => a.status), ['memenuhi', 'ideal']);
+    assert.deepStrictEqual(k.iq, { skor: 137, minimum: 100, memenuhi: true });
+    assert.deepStrictEqual(k.minat, { diutamakan: ['OUT', 'CLER'], cocok: ['OUT'] });
+    assert.strictEqual(k.kesimpulan.kode, 'disarankan');
+
+    PsikogramEngine.registerProfilJabatan('uji_analis', { aspek: { kemampuan_umum: { minimum: 5, ideal: 7 } }, minimumIQ: 140 });
+    const analis = hitung(ANDI, { profilJabatan: 'uji_analis' }).kecocokanJabatan;
+    assert.strictEqual(analis.iq.memenuhi, false);
+    assert.strictEqual(analis.kesimpulan.kode, 'tidak_disarankan');
+
+    assert.throws(() => PsikogramEngine.registerProfilJabatan('salah', { aspek: { tidak_ada: { minimum: 1, ideal: 2 } } }), /tidak ada di set/);
+});
+
+uji('kecocokan jabatan: IQ tanpa sumber & RMIB kosong tidak dinilai', () => {
+    // CFIT kosong → IQ tidak tersedia: bukan gagal, tetapi menahan 'disarankan'
+    const row = baris(ANDI);
+    row.x_05 = row.x_05.split('|').map((v, i) => (i < 4 ? '' : v)).join('|');
+    const tanpaIQ = PsikogramEngine.hitungPsikogram(row, 'Andi', { profilJabatan: 'uji_admin', sumberKemampuan: 'cfit' });
+    assert.strictEqual(tanpaIQ.iqTersedia, false);
+    assert.strictEqual(tanpaIQ.kecocokanJabatan.iq.memenuhi, null);
+    assert.strictEqual(tanpaIQ.kecocokanJabatan.persen, 92);
+    assert.strictEqual(tanpaIQ.kecocokanJabatan.kesimpulan.kode, 'dipertimbangkan');
+
+    const tanpaRMIB = baris(ANDI);
+    tanpaRMIB.x_06 = tanpaRMIB.x_06.split('||')[0] + '||';
+    const k = PsikogramEngine.hitungPsikogram(tanpaRMIB, 'Andi', { profilJabatan: 'uji_admin' }).kecocokanJabatan;
+    assert.strictEqual(k.minat.cocok, null);
+    assert.strictEqual(k.kesimpulan.kode, 'disarankan');
+});
+
+// =========================================================
+// PROVENANS OVERRIDE x_10
+// =========================================================
+
+uji('override x_10 tercatat di provenans & diubah, tanpa override kosong', () => {
+    assert.deepStrictEqual(hitung(ANDI).diubah, []);
+
+    const row = baris(ANDI);
+    row.x_10 = 'tgl;;;120|0;8|Tekun sekali||';
+    const h = PsikogramEngine.hitungPsikogram(row, 'Andi');
+    assert.strictEqual(h.IQ, 120);
+    assert.deepStrictEqual(h.provenans.IQ, { hitung: 137, akhir: 120, sumber: 'override' });
+    assert.deepStrictEqual(h.diubah.map(d => [d.field, d.akhir]),
+        [['IQ', 120], ['skor.daya_tangkap_visual', 8], ['kelebihan.1', 'Tekun sekali']]);
+    assert.strictEqual(h.provenans.skor[1].hitung, 6);
+    assert.strictEqual(h.provenans.kelemahan[0].sumber, 'engine');
+});
+
+// =========================================================
+// REKOMENDASI PROGRAM STUDI
+// =========================================================
+
+uji('katalog bawaan: program sesuai minat & syarat aspek disarankan', () => {
+    const r = hitung(ANDI).rekomendasiProgramStudi;
+    assert.strictEqual(r.length, 5);
+    assert.deepStrictEqual([r[0].kode, r[0].status, r[0].skor], ['kehutanan', 'disarankan', 100]);
+    assert.deepStrictEqual(r[0].alasan, ['Sesuai minat OUTDOOR (peringkat 1)', 'Kemampuan Umum 9 ≥ 5']);
+
+    const row = baris(ANDI);
+    row.x_06 = row.x_06.split('||')[0] + '||';
+    assert.strictEqual(PsikogramEngine.hitungPsikogram(row, 'Andi').rekomendasiProgramStudi, null);
+});
+
+uji('program terdaftar: syarat kurang = bersyarat, IQ tanpa sumber tidak dinilai', () => {
+    // Katalog tiruan di set aspek 'uji_kampus' agar katalog bawaan (set standar) tidak berubah
+    PsikogramEngine.registerProgramStudi('uji_geo', { nama: 'Uji Geografi', minat: ['OUT'],
+        aspek: { kemampuan_umum: 5 }, minimumIQ: 100, setAspek: 'uji_kampus' });
+    PsikogramEngine.registerProgramStudi('uji_humas', { nama: 'Uji Humas', minat: ['PERS'],
+        aspek: { ketekunan: 8 }, setAspek: 'uji_kampus' });
+
+    const r = hitung(ANDI, { setAspek: 'uji_kampus' }).rekomendasiProgramStudi;
+    assert.deepStrictEqual(r.map(p => [p.kode, p.status]), [['uji_geo', 'disarankan'], ['uji_humas', 'bersyarat']]);
+    assert.deepStrictEqual(r[1].syarat.map(x => x.status), ['kurang']);
+
+    const row = baris(ANDI);
+    row.x_05 = row.x_05.split('|').map((v, i) => (i < 4 ? '' : v)).join('|');
+    const tanpaIQ = PsikogramEngine.hitungPsikogram(row, 'Andi', { setAspek: 'uji_kampus', sumberKemampuan: 'cfit' });
+    const geo = tanpaIQ.rekomendasiProgramStudi.find(p => p.kode === 'uji_geo');
+    assert.strictEqual(geo.status, 'bersyarat');
+    assert.deepStrictEqual(geo.syarat.map(x => [x.kode, x.status]), [['kemampuan_umum', 'tidak_dinilai'], ['IQ', 'tidak_dinilai']]);
+
+    assert.throws(() => PsikogramEngine.registerProgramStudi('salah', { minat: ['XYZ'] }), /kategori minat "XYZ" tidak dikenal/);
+});
+
+// =========================================================
+// PENJURUSAN SMA
+// =========================================================
+
+uji('penjurusan SMA: jurusan, cadangan & keyakinan dari selisih skor', () => {
+    const andi = hitung(ANDI).jurusanSMA;
+    assert.deepStrictEqual([andi.jurusan.kode, andi.cadangan.kode, andi.keyakinan.kode], ['IPS', 'IPA', 'tinggi']);
+    assert.deepStrictEqual(andi.skor, { IPA: 57, IPS: 73, BAHASA: 45 });
+    assert.strictEqual(andi.alasan[andi.alasan.length - 1], 'Selisih dengan IPA: 16 poin');
+
+    const budi = hitung(BUDI).jurusanSMA;
+    assert.deepStrictEqual([budi.jurusan.kode, budi.cadangan.kode, budi.keyakinan.kode], ['IPA', 'BAHASA', 'sedang']);
+
+    const kosong = PsikogramEngine.rekomendasiJurusanSMA({ skor: {}, IQ: 0, minat: [] });
+    assert.strictEqual(kosong.lengkap, false);
+    assert.strictEqual(kosong.keyakinan.kode, 'rendah');
+
+    assert.strictEqual(hitung(ANDI, { setAspek: 'uji_kampus' }).jurusanSMA, null);
+});
+
+uji('ringkasan penempatan jurusan per kelas', () => {
+    const kelas = [ANDI, BUDI, CITRA].map(p => hitung(p).jurusanSMA)
+        .concat(PsikogramEngine.rekomendasiJurusanSMA({ skor: {}, IQ: 0, minat: [] }));
+    const r = PsikogramEngine.ringkasanJurusanSMA(kelas);
+    assert.strictEqual(r.total, 4);
+    assert.deepStrictEqual([r.jurusan.IPA.jumlah, r.jurusan.IPS.jumlah, r.jurusan.BAHASA.jumlah], [3, 1, 0]);
+    assert.strictEqual(r.jurusan.IPA.persen, 75);
+    assert.deepStrictEqual(r.jurusan.IPA.keyakinan, { tinggi: 1, sedang: 1, rendah: 1 });
+    assert.strictEqual(r.perluTinjauan, 1);
+});
+
+// =========================================================
+// TEKS MENURUT PITA SKOR
+// =========================================================
+
+uji('pita skor: batas pita & kalimat kelebihan/kelemahan menurut pita', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(s => PsikogramEngine.pitaSkor(s).kode),
+        ['sangat_rendah', 'sangat_rendah', 'rendah', 'rendah', 'rata_rata', 'rata_rata',
+         'tinggi', 'tinggi', 'sangat_tinggi', 'sangat_tinggi']);
+
+    // Kelemahan ke-3 Budi berskor tinggi → kalimat dilunakkan dari template pita tinggi
+    const budi = hitung(BUDI);
+    assert.strictEqual(budi.pitaTeks.kelemahan[2], 'tinggi');
+    const lunak = [].concat(...budi.provenans.skor.map(({ nama }) =>
+        PsikogramEngine.TEKS_PITA.teks3.tinggi.map(t =>
+            t.replace(/\{Aspek\}/g, nama).replace(/\{aspek\}/g, nama.toLowerCase()))));
+    assert.ok(lunak.includes(budi.kelemahan[2]), budi.kelemahan[2]);
+
+    // Kelebihan ke-3 Citra berskor rendah → "relatif paling berkembang"
+    const citra = hitung(CITRA);
+    assert.strictEqual(citra.pitaTeks.kelebihan[2], 'rendah');
+    assert.ok(/relatif paling berkembang|paling dapat diandalkan|lebih menonjol/.test(citra.kelebihan[2]), citra.kelebihan[2]);
+    assert.notDeepStrictEqual(PsikogramEngine.TEKS_PITA.teks2.sangat_rendah, PsikogramEngine.TEKS_PITA.teks2.rendah);
+});
+
+uji('semua skor ≥ rata-rata: kelemahan dilunakkan, opsi sembunyikan menandai halaman', () => {
+    assert.strictEqual(hitung(ANDI).semuaRataRata, false);
+
+    // Satu-satunya skor Andi di bawah 5 dinaikkan lewat override x_10
+    const row = baris(ANDI);
+    row.x_10 = 'tgl;;;|;;;;;;5||';
+    const h = PsikogramEngine.hitungPsikogram(row, 'Andi');
+    assert.strictEqual(h.semuaRataRata, true);
+    assert.strictEqual(h.kelemahanDisembunyikan, false);
+    assert.ok(h.pitaTeks.kelemahan.every(p => p !== 'rendah' && p !== 'sangat_rendah'));
+    assert.strictEqual(h.kelemahan.length, 3);
+
+    const sembunyi = PsikogramEngine.hitungPsikogram(row, 'Andi', { kelemahanRataRata: 'sembunyikan' });
+    assert.strictEqual(sembunyi.kelemahanDisembunyikan, true);
+});
+
+// =========================================================
+// LOKALISASI — BAHASA LAPORAN
+// =========================================================
+
+uji('bahasa laporan: versi kalimat sama di tiap bahasa, dwibahasa & kode tak dikenal', () => {
+    const id = hitung(ANDI);
+    const en = hitung(ANDI, { bahasa: 'en' });
+    assert.strictEqual(en.bahasa, 'en');
+    assert.strictEqual(en.kelebihan[0], 'Known for thinking systematically so that problems can be solved well.');
+    assert.deepStrictEqual([id.lokal.kategoriIQ, en.lokal.kategoriIQ], ['Sangat Superior', 'Very Superior']);
+
+    const dwi = hitung(ANDI, { bahasa: 'id-en' });
+    assert.strictEqual(dwi.bahasa, 'id-en');
+    assert.deepStrictEqual(dwi.kelebihan, id.kelebihan);
+    assert.deepStrictEqual(dwi.terjemahan.kelebihan, en.kelebihan);
+    assert.strictEqual(PsikogramEngine.labelLokal('id-en').nama, 'Nama / Name');
+
+    // "en-US" → "us" tidak dikenal: dilewati dengan peringatan, bukan error
+    const us = hitung(ANDI, { bahasa: 'en-US' });
+    assert.strictEqual(us.bahasa, 'en');
+    assert.deepStrictEqual(us.validasi.warnings.filter(w => w.kode === 'BAHASA_TIDAK_DIKENAL').map(w => w.field), ['bahasa']);
+
+    // Teks override psikolog tidak diterjemahkan
+    const row = baris(ANDI);
+    row.x_10 = 'tgl;;;|;|Tekun sekali||';
+    assert.strictEqual(PsikogramEngine.hitungPsikogram(row, 'Andi', { bahasa: 'en' }).kelebihan[0], 'Tekun sekali');
+});
+
+uji('lokalisasi rekap: teks engine tersimpan diterjemahkan, tulisan psikolog dibiarkan', () => {
+    const id = hitung(ANDI);
+    const r = PsikogramEngine.lokalisasiRekap({
+        jk: 'Laki-laki', IQ: 137, kelebihan: id.kelebihan, kelemahan: ['Tulisan psikolog'], rekomendasi: [],
+        minat: [{ singkatan: 'OUT', nama: 'Catatan sendiri', keterangan: '' }]
+    }, 'en');
+    assert.strictEqual(r.kelebihan[0], hitung(ANDI, { bahasa: 'en' }).kelebihan[0]);
+    assert.deepStrictEqual(r.kelemahan, ['Tulisan psikolog']);
+    assert.deepStrictEqual([r.jk, r.kategoriIQ, r.minat[0].nama, r.peringatan], ['Male', 'Very Superior', 'Catatan sendiri', null]);
+});
+
+// =========================================================
+// NARASI KETERANGAN (x_12)
+// =========================================================
+
+uji('narasi: sama untuk id yang sama, berbeda antar peserta & varian', () => {
+    const h = hitung(ANDI);
+    const narasi = PsikogramEngine.generateNarasi(h, 'Andi');
+    assert.strictEqual(PsikogramEngine.generateNarasi(h, 'Andi'), narasi);
+    assert.notStrictEqual(PsikogramEngine.generateNarasi(h, 'Budi'), narasi);
+    assert.notStrictEqual(PsikogramEngine.generateNarasi(h, 'Andi', { varian: 1 }), narasi);
+    assert.ok(narasi.includes('skor IQ sebesar 137'), narasi);
+
+    // Data rekap (biodata + skor) memberi narasi yang sama dengan hasil hitung
+    const skor = Object.fromEntries(h.aspek.map((a, i) => [a.kode, h.resultScores[i]]));
+    assert.strictEqual(PsikogramEngine.generateNarasi({ nama: 'Andi', IQ: 137, skor }, 'Andi'), narasi);
+
+    // Tanpa skor & IQ: hanya kalimat pembuka
+    assert.ok(!/IQ/.test(PsikogramEngine.generateNarasi({}, 'x')));
+});
+
+uji('narasi kepribadian & sikap kerja: paragraf terpisah, sapaan menurut jk, catatan EPPS tidak valid', () => {
+    const h = hitung(ANDI);
+    const semua = PsikogramEngine.generateNarasi(h, 'Andi', { bagian: ['kemampuan', 'kepribadian', 'sikap_kerja'] }).split('\n\n');
+    assert.strictEqual(semua.length, 3);
+    assert.strictEqual(semua[0], PsikogramEngine.generateNarasi(h, 'Andi'));
+    assert.strictEqual(semua[1], PsikogramEngine.generateNarasi(h, 'Andi', { bagian: 'kepribadian' }));
+    assert.ok(semua[1].includes('Saudara Andi'), semua[1]);
+
+    const citra = PsikogramEngine.generateNarasi(hitung(CITRA), 'Citra', { bagian: 'kepribadian' });
+    assert.ok(citra.includes('Saudari Citra'), citra);
+    assert.ok(citra.endsWith('perlu dikonfirmasi melalui wawancara karena konsistensi pengisian EPPS rendah.'), citra);
+});
+
+// =========================================================
+// CAP VERSI (x_17)
+// =========================================================
+
+uji('cap versi: engine, norma yang dipakai & sidik konten per bahasa', () => {
+    const v = hitung(ANDI).versi;
+    assert.strictEqual(v.engine, PsikogramEngine.VERSI_ENGINE);
+    assert.deepStrictEqual(v.rincianNorma, { skala: 'bawaan@1.0', cfit: '16+@1.0', epps: 'gabungan@1.0' });
+    assert.strictEqual(v.norma, 'skala:bawaan@1.0, cfit:16+@1.0, epps:gabungan@1.0');
+    assert.ok(v.konten.startsWith(PsikogramEngine.VERSI_KONTEN + '#'), v.konten);
+    assert.strictEqual(hitung(BUDI).versi.konten, v.konten);
+    assert.notStrictEqual(hitung(ANDI, { bahasa: 'en' }).versi.konten, v.konten);
+
+    // Kolom '30+' (uji CFIT) didaftarkan tanpa versi → dicatat dengan sidik tabelnya
+    assert.ok(/^30\+@#[0-9a-f]{8}$/.test(hitung({ ...ANDI, usia: 35 }).versi.rincianNorma.cfit));
+});
+
+uji('label versi untuk kaki laporan dari hasil atau kolom x_17', () => {
+    const v = hitung(ANDI).versi;
+    const label = PsikogramEngine.labelVersi(v);
+    assert.strictEqual(label, `Engine ${v.engine} · Norma ${v.norma} · Konten ${v.konten}`);
+    assert.strictEqual(PsikogramEngine.labelVersi(JSON.stringify(v)), label);
+    assert.ok(PsikogramEngine.labelVersi(v, 'en').includes(' · Norms '));
+    assert.deepStrictEqual(['', 'rusak{', null].map(x => PsikogramEngine.labelVersi(x)), ['', '', '']);
+});
+
+// =========================================================
+// JEJAK SKOR (opsi.jejak)
+// =========================================================
+
+uji('jejak skor: masukan mentah, batas norma skala & override per aspek', () => {
+    assert.strictEqual(hitung(ANDI).jejak, null);
+
+    const h = hitung(ANDI, { jejak: true });
+    assert.strictEqual(h.jejak.length, h.aspek.length);
+    const ku = h.jejak[0];
+    assert.deepStrictEqual(ku.masukan, [{ variabel: 'IQ', bobot: 1, nilai: 137, subtes: 'cfit', raw: 34, kolomUsia: '16+' }]);
+    assert.deepStrictEqual([ku.batas, ku.skor, ku.override], [{ bawah: 129, atas: 139, skala: 9 }, 9, null]);
+    assert.deepStrictEqual(PsikogramEngine.uraiJejak(ku), [
+        'IQ: skor total CFIT 34 → IQ 137 (kolom norma usia 16+)',
+        'Norma skala bawaan@1.0 (tabel iq): 137 berada di rentang 129 < nilai ≤ 139 → skala 9'
+    ]);
+
+    const row = baris(ANDI);
+    row.x_10 = 'tgl;;;|0;8||';
+    const diubah = PsikogramEngine.hitungPsikogram(row, 'Andi', { jejak: true }).jejak[1];
+    assert.deepStrictEqual([diubah.skorEngine, diubah.override, diubah.skor], [6, 8, 8]);
+    assert.strictEqual(PsikogramEngine.uraiJejak(diubah).pop(), 'Diganti psikolog lewat x_10 menjadi 8 (hitungan engine 6)');
+});
+
+// =========================================================
+// PINTU MASUK ESM
+// =========================================================
+
+uji('psikogram-engine.mjs mengekspor semua isi engine', async () => {
+    const esm = await import('./psikogram-engine.mjs');
+    const kurang = Object.keys(PsikogramEngine).filter(k => !(k in esm));
+    assert.deepStrictEqual(kurang, [], `belum diekspor: ${kurang.join(', ')}`);
+    assert.strictEqual(esm.default, PsikogramEngine);
+});
+
+// =========================================================
+// JALANKAN
+// =========================================================
+async function jalankan() {
+    let gagal = 0;
+    for (const { nama, fn } of daftarUji) {
+        try {
+            await fn();
+            console.log(`OK     ${nama}`);
+        } catch (e) {
+            gagal++;
+            console.log(`GAGAL  ${nama}\n       ${e.message.split('\n').join('\n       ')}`);
+        }
+    }
+    console.log(`\n${daftarUji.length - gagal}/${daftarUji.length} uji lolos`);
+    process.exitCode = gagal ? 1 : 0;
+}
+
+jalankan();